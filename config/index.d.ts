@@ -14,11 +14,20 @@ export declare interface AssetGroup {
     name: string;
     installMode?: 'prefetch' | 'lazy';
     updateMode?: 'prefetch' | 'lazy';
+    priority?: number;
     resources: {
         files?: Glob[];
         urls?: Glob[];
     };
-    cacheQueryOptions?: Pick<CacheQueryOptions, 'ignoreSearch'>;
+    cacheQueryOptions?: Pick<CacheQueryOptions, 'ignoreSearch'> & {
+        ignoreQueryParams?: Glob[];
+        sortQueryParams?: boolean;
+    };
+    fetchConfig?: {
+        timeout?: Duration;
+        maxRetries?: number;
+        retryDelay?: Duration;
+    };
 }
 
 /**
@@ -33,6 +42,52 @@ export declare interface Config {
     dataGroups?: DataGroup[];
     navigationUrls?: string[];
     navigationRequestStrategy?: 'freshness' | 'performance';
+    storageEvictionThreshold?: number;
+    prefetchConcurrency?: number;
+    hashAlgorithm?: HashAlgorithm;
+}
+
+/**
+ * A likely mistake found by `lintConfig()` in a service worker configuration.
+ *
+ * @publicApi
+ */
+export declare interface ConfigLintWarning {
+    /**
+     * The JSON path of the configuration entry the warning is about, for example
+     * `$.assetGroups[1].resources.files[0]`.
+     */
+    path: string;
+    /**
+     * The value the warning is about, such as a glob or the path of an uncached file.
+     */
+    value: unknown;
+    message: string;
+    /**
+     * A suggested fix, if one can be inferred.
+     */
+    suggestion?: string;
+}
+
+/**
+ * A problem found by `validateConfig()` in a service worker configuration.
+ *
+ * @publicApi
+ */
+export declare interface ConfigValidationIssue {
+    /**
+     * The JSON path of the offending value, for example `$.assetGroups[0].installMode`.
+     */
+    path: string;
+    /**
+     * The offending value, or `undefined` for a missing property.
+     */
+    value: unknown;
+    message: string;
+    /**
+     * A suggested fix, such as the intended spelling of a misspelled property.
+     */
+    suggestion?: string;
 }
 
 /**
@@ -46,12 +101,39 @@ export declare interface DataGroup {
     version?: number;
     cacheConfig: {
         maxSize: number;
+        maxBytes?: number;
+        maxResponseBytes?: number;
         maxAge: Duration;
+        refreshAhead?: Duration;
         timeout?: Duration;
-        strategy?: 'freshness' | 'performance';
+        abortOnTimeout?: boolean;
+        staleIfError?: Duration;
+        strategy?: 'freshness' | 'performance' | 'staleWhileRevalidate';
         cacheOpaqueResponses?: boolean;
+        honorCacheControl?: boolean;
+    };
+    cacheQueryOptions?: Pick<CacheQueryOptions, 'ignoreSearch'> & {
+        ignoreQueryParams?: Glob[];
+        sortQueryParams?: boolean;
+    };
+    offlineQueue?: {
+        maxAge?: Duration;
+        storeHeaders?: string[];
+    };
+    invalidationRules?: {
+        methods?: string[];
+        url: Glob;
+        invalidates: Glob[];
+    }[];
+    postCaching?: {
+        keyFields?: string[];
+    };
+    varyHeaders?: string[];
+    partitionBy?: {
+        header?: string;
+        cookie?: string;
     };
-    cacheQueryOptions?: Pick<CacheQueryOptions, 'ignoreSearch'>;
+    prefetchUrls?: string[];
 }
 
 /**
@@ -69,7 +151,16 @@ export declare type Duration = string;
 export declare interface Filesystem {
     list(dir: string): Promise<string[]>;
     read(file: string): Promise<string>;
-    hash(file: string): Promise<string>;
+    /**
+     * Returns the hex-encoded hash of the file contents, computed with the given algorithm.
+     * `algorithm` defaults to `'sha1'`.
+     */
+    hash(file: string, algorithm?: HashAlgorithm): Promise<string>;
+    /**
+     * Returns the size of the file in bytes. When implemented, the generated manifest includes a
+     * `sizeTable` with the size of every cached file.
+     */
+    size?(file: string): Promise<number>;
     write(file: string, contents: string): Promise<void>;
 }
 
@@ -94,4 +185,43 @@ export { Generator_2 as Generator }
  */
 export declare type Glob = string;
 
+/**
+ * The algorithm used to compute the content hashes recorded in the generated manifest.
+ *
+ * @publicApi
+ */
+export declare type HashAlgorithm = 'sha1' | 'sha256' | 'sha384';
+
+/**
+ * Looks for likely mistakes in a valid service worker configuration, given the files of the
+ * distribution directory it will be applied to.
+ *
+ * These are not errors: `Generator.process()` accepts such a configuration, but the resulting
+ * manifest probably does not cache what was intended. Warnings are reported for:
+ * - asset groups that do not claim any file or URL,
+ * - globs that match no file, or only files already claimed by an earlier asset group,
+ * - files that are not cached by any asset group,
+ * - an `index` that does not exist or is not prefetched,
+ * - data group URL patterns that match asset files, which asset groups always handle first.
+ *
+ * @returns the list of warnings, which is empty if nothing suspicious was found.
+ *
+ * @publicApi
+ */
+export declare function lintConfig(config: Config, fs: Filesystem, baseHref?: string): Promise<ConfigLintWarning[]>;
+
+/**
+ * Checks a service worker configuration (the parsed contents of `ngsw-config.json`) against the
+ * configuration schema.
+ *
+ * Unlike `Generator.process()`, which stops at the first problem it runs into, this reports every
+ * problem found, each with the JSON path and the offending value, and a suggested fix where one can
+ * be inferred (for example, the intended spelling of a misspelled property).
+ *
+ * @returns the list of problems found, which is empty for a valid configuration.
+ *
+ * @publicApi
+ */
+export declare function validateConfig(config: unknown): ConfigValidationIssue[];
+
 export { }
@@ -0,0 +1,129 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { globListToMatcher, joinUrls, urlToRegex } from './generator';
+// Files in the distribution directory that are not expected to be cached by an asset group.
+const UNCACHED_FILES = ['/ngsw.json', '/ngsw-worker.js', '/safety-worker.js', '/worker-basic.min.js'];
+/**
+ * Looks for likely mistakes in a valid service worker configuration, given the files of the
+ * distribution directory it will be applied to.
+ *
+ * These are not errors: `Generator.process()` accepts such a configuration, but the resulting
+ * manifest probably does not cache what was intended. Warnings are reported for:
+ * - asset groups that do not claim any file or URL,
+ * - globs that match no file, or only files already claimed by an earlier asset group,
+ * - files that are not cached by any asset group,
+ * - an `index` that does not exist or is not prefetched,
+ * - data group URL patterns that match asset files, which asset groups always handle first.
+ *
+ * @returns the list of warnings, which is empty if nothing suspicious was found.
+ *
+ * @publicApi
+ */
+export async function lintConfig(config, fs, baseHref = '/') {
+    const warnings = [];
+    const allFiles = (await fs.list('/')).sort();
+    const claimedBy = new Map();
+    (config.assetGroups || []).forEach((group, groupIdx) => {
+        const path = `$.assetGroups[${groupIdx}]`;
+        const globs = group.resources.files || [];
+        globs.forEach((glob, globIdx) => {
+            if (glob.startsWith('!')) {
+                return;
+            }
+            const matched = allFiles.filter(globListToMatcher([glob]));
+            if (matched.length === 0) {
+                warnings.push({
+                    path: `${path}.resources.files[${globIdx}]`,
+                    value: glob,
+                    message: `'${glob}' does not match any file.`,
+                    suggestion: 'Fix the glob or remove it.',
+                });
+            }
+            else if (matched.every(file => claimedBy.has(file))) {
+                const owners = Array.from(new Set(matched.map(file => claimedBy.get(file).name)));
+                warnings.push({
+                    path: `${path}.resources.files[${globIdx}]`,
+                    value: glob,
+                    message: `'${glob}' only matches files already claimed by ` +
+                        `${listNames('asset group', owners)}, so it has no effect.`,
+                    suggestion: `Remove the glob, or move asset group '${group.name}' before ` +
+                        `${listNames('asset group', owners)}.`,
+                });
+            }
+        });
+        const claimed = allFiles.filter(globListToMatcher(globs)).filter(file => !claimedBy.has(file));
+        if (claimed.length === 0 && (group.resources.urls || []).length === 0) {
+            warnings.push({
+                path,
+                value: group.name,
+                message: `Asset group '${group.name}' does not claim any file or URL, so it never caches ` +
+                    `anything.`,
+                suggestion: 'Fix its globs or remove the group.',
+            });
+        }
+        claimed.forEach(file => claimedBy.set(file, group));
+    });
+    allFiles.filter(file => !claimedBy.has(file) && !UNCACHED_FILES.includes(file)).forEach(file => {
+        warnings.push({
+            path: '$.assetGroups',
+            value: file,
+            message: `'${file}' is not cached by any asset group.`,
+            suggestion: 'Add it to an asset group if the app needs it offline.',
+        });
+    });
+    const indexGroup = claimedBy.get(config.index);
+    if (!allFiles.includes(config.index)) {
+        warnings.push({
+            path: '$.index',
+            value: config.index,
+            message: `'${config.index}' does not exist in the distribution directory.`,
+        });
+    }
+    else if (indexGroup === undefined) {
+        warnings.push({
+            path: '$.index',
+            value: config.index,
+            message: `'${config.index}' is not cached by any asset group, so navigation requests ` +
+                `fail while offline.`,
+            suggestion: `Add '${config.index}' to an asset group with 'installMode' 'prefetch'.`,
+        });
+    }
+    else if ((indexGroup.installMode || 'prefetch') !== 'prefetch') {
+        warnings.push({
+            path: '$.index',
+            value: config.index,
+            message: `'${config.index}' is cached lazily by asset group '${indexGroup.name}', so the ` +
+                `app may not load offline after an update.`,
+            suggestion: `Move '${config.index}' to an asset group with 'installMode' 'prefetch'.`,
+        });
+    }
+    (config.dataGroups || []).forEach((group, groupIdx) => {
+        group.urls.forEach((url, urlIdx) => {
+            const regex = new RegExp(urlToRegex(url, baseHref, true));
+            const shadowed = Array.from(claimedBy.keys()).filter(file => regex.test(joinUrls(baseHref, file)));
+            if (shadowed.length > 0) {
+                warnings.push({
+                    path: `$.dataGroups[${groupIdx}].urls[${urlIdx}]`,
+                    value: url,
+                    message: `'${url}' also matches asset files (${listFiles(shadowed)}). Requests for ` +
+                        `these are handled by asset groups and never reach data group '${group.name}'.`,
+                    suggestion: 'Narrow the URL pattern, or exclude the files from the asset groups.',
+                });
+            }
+        });
+    });
+    return warnings;
+}
+function listNames(kind, names) {
+    const quoted = names.map(name => `'${name}'`);
+    return names.length === 1 ? `${kind} ${quoted[0]}` : `${kind}s ${quoted.join(', ')}`;
+}
+function listFiles(files) {
+    const shown = files.slice(0, 3).map(file => `'${file}'`).join(', ');
+    return files.length > 3 ? `${shown} and ${files.length - 3} more` : shown;
+}
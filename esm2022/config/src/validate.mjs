@@ -0,0 +1,255 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { parseDurationToMs } from './duration';
+// The rules below mirror `config/schema.json`. Keep them in sync when adding options;
+// `test/config/validate_schema_spec.mjs` fails when a property, type or enum differs.
+const string = { type: 'string' };
+const boolean = { type: 'boolean' };
+const duration = { type: 'string', duration: true };
+const uniqueStrings = { type: 'array', items: string, uniqueItems: true };
+const cacheQueryOptions = object({
+    ignoreSearch: boolean,
+    ignoreQueryParams: uniqueStrings,
+    sortQueryParams: boolean,
+});
+const assetGroup = object({
+    name: string,
+    installMode: { enum: ['prefetch', 'lazy'] },
+    updateMode: { enum: ['prefetch', 'lazy'] },
+    priority: { type: 'number' },
+    resources: object({
+        files: uniqueStrings,
+        urls: uniqueStrings,
+    }),
+    cacheQueryOptions,
+    fetchConfig: object({
+        timeout: duration,
+        maxRetries: { type: 'integer', minimum: 0 },
+        retryDelay: duration,
+    }),
+}, ['name', 'resources']);
+const dataGroup = object({
+    name: string,
+    urls: uniqueStrings,
+    version: { type: 'integer' },
+    cacheConfig: object({
+        maxSize: { type: 'integer' },
+        maxBytes: { type: 'integer', minimum: 1 },
+        maxResponseBytes: { type: 'integer', minimum: 1 },
+        maxAge: duration,
+        refreshAhead: duration,
+        timeout: duration,
+        abortOnTimeout: boolean,
+        staleIfError: duration,
+        strategy: { enum: ['freshness', 'performance', 'staleWhileRevalidate'] },
+        cacheOpaqueResponses: boolean,
+        honorCacheControl: boolean,
+    }, ['maxSize', 'maxAge']),
+    cacheQueryOptions,
+    offlineQueue: object({
+        maxAge: duration,
+        storeHeaders: uniqueStrings,
+    }),
+    invalidationRules: {
+        type: 'array',
+        items: object({
+            methods: uniqueStrings,
+            url: string,
+            invalidates: uniqueStrings,
+        }, ['url', 'invalidates']),
+    },
+    postCaching: object({
+        keyFields: uniqueStrings,
+    }),
+    varyHeaders: uniqueStrings,
+    partitionBy: object({
+        header: string,
+        cookie: string,
+    }),
+    prefetchUrls: uniqueStrings,
+}, ['name', 'urls', 'cacheConfig']);
+const configRules = object({
+    $schema: string,
+    appData: { type: 'object' },
+    index: string,
+    assetGroups: { type: 'array', items: assetGroup },
+    dataGroups: { type: 'array', items: dataGroup },
+    navigationUrls: uniqueStrings,
+    navigationRequestStrategy: { enum: ['freshness', 'performance'] },
+    storageEvictionThreshold: { type: 'number', exclusiveMinimum: 0, maximum: 1 },
+    prefetchConcurrency: { type: 'integer', minimum: 1 },
+    hashAlgorithm: { enum: ['sha1', 'sha256', 'sha384'] },
+}, ['index']);
+function object(properties, required = []) {
+    return { type: 'object', properties, required };
+}
+/**
+ * Checks a service worker configuration (the parsed contents of `ngsw-config.json`) against the
+ * configuration schema.
+ *
+ * Unlike `Generator.process()`, which stops at the first problem it runs into, this reports every
+ * problem found, each with the JSON path and the offending value, and a suggested fix where one can
+ * be inferred (for example, the intended spelling of a misspelled property).
+ *
+ * @returns the list of problems found, which is empty for a valid configuration.
+ *
+ * @publicApi
+ */
+export function validateConfig(config) {
+    const issues = [];
+    validateValue(config, configRules, '$', issues);
+    return issues;
+}
+function validateValue(value, rule, path, issues) {
+    const report = (message, suggestion) => issues.push({ path, value, message, suggestion });
+    if (rule.enum !== undefined) {
+        if (!rule.enum.includes(value)) {
+            const closest = typeof value === 'string' ? closestMatch(value, rule.enum) : null;
+            report(`Expected one of ${rule.enum.map(v => `'${v}'`).join(', ')}.`, closest !== null ? `Did you mean '${closest}'?` : undefined);
+        }
+        return;
+    }
+    if (!hasType(value, rule.type)) {
+        report(`Expected ${describeType(rule.type)}, got ${describeValue(value)}.`);
+        return;
+    }
+    switch (rule.type) {
+        case 'string':
+            if (rule.duration) {
+                validateDuration(value, report);
+            }
+            break;
+        case 'number':
+        case 'integer':
+            if (rule.minimum !== undefined && value < rule.minimum) {
+                report(`Must be at least ${rule.minimum}.`);
+            }
+            if (rule.exclusiveMinimum !== undefined && value <= rule.exclusiveMinimum) {
+                report(`Must be greater than ${rule.exclusiveMinimum}.`);
+            }
+            if (rule.maximum !== undefined && value > rule.maximum) {
+                report(`Must be at most ${rule.maximum}.`);
+            }
+            break;
+        case 'array':
+            value.forEach((item, idx) => {
+                const itemPath = `${path}[${idx}]`;
+                if (rule.uniqueItems && value.indexOf(item) !== idx) {
+                    issues.push({
+                        path: itemPath,
+                        value: item,
+                        message: `Duplicate entry, already listed at index ${value.indexOf(item)}.`,
+                        suggestion: 'Remove the duplicate.',
+                    });
+                }
+                validateValue(item, rule.items, itemPath, issues);
+            });
+            break;
+        case 'object':
+            if (rule.properties !== undefined) {
+                validateObject(value, rule, path, issues);
+            }
+            break;
+    }
+}
+function validateObject(value, rule, path, issues) {
+    const known = Object.keys(rule.properties);
+    for (const name of rule.required) {
+        if (!value.hasOwnProperty(name)) {
+            const misspelled = Object.keys(value).find(key => !known.includes(key) && closestMatch(key, [name]) !== null);
+            issues.push({
+                path: `${path}.${name}`,
+                value: undefined,
+                message: `Missing required property '${name}'.`,
+                suggestion: misspelled !== undefined ? `Rename '${misspelled}' to '${name}'.` :
+                    `Add a '${name}' property.`,
+            });
+        }
+    }
+    for (const [name, propValue] of Object.entries(value)) {
+        const propPath = `${path}.${name}`;
+        if (!known.includes(name)) {
+            const closest = closestMatch(name, known);
+            issues.push({
+                path: propPath,
+                value: propValue,
+                message: `Unknown property '${name}'.`,
+                suggestion: closest !== null ? `Did you mean '${closest}'?` : 'Remove the property.',
+            });
+            continue;
+        }
+        validateValue(propValue, rule.properties[name], propPath, issues);
+    }
+}
+function validateDuration(value, report) {
+    const suggestion = `Use a duration such as '3d12h', made of numbers followed by one of the ` +
+        `units 'd', 'h', 'm', 's' or 'u' (milliseconds).`;
+    try {
+        if (!/^([0-9]+[^0-9]+)+$/.test(value)) {
+            throw new Error(`Not a valid duration: ${value}`);
+        }
+        parseDurationToMs(value);
+    }
+    catch (err) {
+        report(err.message, suggestion);
+    }
+}
+function hasType(value, type) {
+    switch (type) {
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+            return typeof value === 'object' && value !== null && !Array.isArray(value);
+        case 'integer':
+            return Number.isInteger(value);
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        default:
+            return typeof value === type;
+    }
+}
+function describeType(type) {
+    return type === 'array' || type === 'integer' || type === 'object' ? `an ${type}` : `a ${type}`;
+}
+function describeValue(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'an array';
+    }
+    return typeof value === 'string' ? `'${value}'` : typeof value === 'object' ? 'an object' :
+        String(value);
+}
+/**
+ * Finds the candidate closest to `value`, ignoring case, if it is close enough to be a likely
+ * misspelling. Returns `null` otherwise.
+ */
+function closestMatch(value, candidates) {
+    let best = null;
+    let bestDistance = Infinity;
+    for (const candidate of candidates) {
+        const distance = levenshtein(value.toLowerCase(), candidate.toLowerCase());
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+    return bestDistance <= Math.max(1, Math.floor(value.length / 4)) ? best : null;
+}
+function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, idx) => idx);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
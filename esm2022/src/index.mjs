@@ -5,8 +5,8 @@
  * Use of this source code is governed by an MIT-style license that can be
  * found in the LICENSE file at https://angular.io/license
  */
+export { SwCache } from './cache';
 export { ServiceWorkerModule } from './module';
 export { provideServiceWorker, SwRegistrationOptions } from './provider';
 export { SwPush } from './push';
 export { SwUpdate } from './update';
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiaW5kZXguanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyIuLi8uLi8uLi8uLi8uLi8uLi9wYWNrYWdlcy9zZXJ2aWNlLXdvcmtlci9zcmMvaW5kZXgudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUE7Ozs7OztHQU1HO0FBR0gsT0FBTyxFQUFDLG1CQUFtQixFQUFDLE1BQU0sVUFBVSxDQUFDO0FBQzdDLE9BQU8sRUFBQyxvQkFBb0IsRUFBRSxxQkFBcUIsRUFBQyxNQUFNLFlBQVksQ0FBQztBQUN2RSxPQUFPLEVBQUMsTUFBTSxFQUFDLE1BQU0sUUFBUSxDQUFDO0FBQzlCLE9BQU8sRUFBQyxRQUFRLEVBQUMsTUFBTSxVQUFVLENBQUMiLCJzb3VyY2VzQ29udGVudCI6WyIvKipcbiAqIEBsaWNlbnNlXG4gKiBDb3B5cmlnaHQgR29vZ2xlIExMQyBBbGwgUmlnaHRzIFJlc2VydmVkLlxuICpcbiAqIFVzZSBvZiB0aGlzIHNvdXJjZSBjb2RlIGlzIGdvdmVybmVkIGJ5IGFuIE1JVC1zdHlsZSBsaWNlbnNlIHRoYXQgY2FuIGJlXG4gKiBmb3VuZCBpbiB0aGUgTElDRU5TRSBmaWxlIGF0IGh0dHBzOi8vYW5ndWxhci5pby9saWNlbnNlXG4gKi9cblxuZXhwb3J0IHtOb05ld1ZlcnNpb25EZXRlY3RlZEV2ZW50LCBVbnJlY292ZXJhYmxlU3RhdGVFdmVudCwgVXBkYXRlQWN0aXZhdGVkRXZlbnQsIFVwZGF0ZUF2YWlsYWJsZUV2ZW50LCBWZXJzaW9uRGV0ZWN0ZWRFdmVudCwgVmVyc2lvbkV2ZW50LCBWZXJzaW9uSW5zdGFsbGF0aW9uRmFpbGVkRXZlbnQsIFZlcnNpb25SZWFkeUV2ZW50fSBmcm9tICcuL2xvd19sZXZlbCc7XG5leHBvcnQge1NlcnZpY2VXb3JrZXJNb2R1bGV9IGZyb20gJy4vbW9kdWxlJztcbmV4cG9ydCB7cHJvdmlkZVNlcnZpY2VXb3JrZXIsIFN3UmVnaXN0cmF0aW9uT3B0aW9uc30gZnJvbSAnLi9wcm92aWRlcic7XG5leHBvcnQge1N3UHVzaH0gZnJvbSAnLi9wdXNoJztcbmV4cG9ydCB7U3dVcGRhdGV9IGZyb20gJy4vdXBkYXRlJztcbiJdfQ==
\ No newline at end of file
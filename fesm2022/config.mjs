@@ -90,6 +90,11 @@ const DEFAULT_NAVIGATION_URLS = [
     '!/**/*__*',
     '!/**/*__*/**', // Exclude URLs containing `__` in any other segment.
 ];
+const DEFAULT_INVALIDATION_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const DEFAULT_POST_CACHE_KEY_FIELDS = ['query', 'operationName', 'variables'];
+const SUPPORTED_HASH_ALGORITHMS = ['sha1', 'sha256', 'sha384'];
+// Matches named parameters (such as `:id`) in the URLs of invalidation rules.
+const URL_PARAM = /:([A-Za-z_][A-Za-z0-9_]*)/g;
 /**
  * Consumes service worker configuration files and processes them into control files.
  *
@@ -102,7 +107,8 @@ class Generator {
     }
     async process(config) {
         const unorderedHashTable = {};
-        const assetGroups = await this.processAssetGroups(config, unorderedHashTable);
+        const unorderedSizeTable = {};
+        const assetGroups = await this.processAssetGroups(config, unorderedHashTable, unorderedSizeTable);
         return {
             configVersion: 1,
             timestamp: Date.now(),
@@ -110,12 +116,17 @@ class Generator {
             index: joinUrls(this.baseHref, config.index),
             assetGroups,
             dataGroups: this.processDataGroups(config),
+            hashAlgorithm: config.hashAlgorithm,
             hashTable: withOrderedKeys(unorderedHashTable),
+            sizeTable: this.fs.size && withOrderedKeys(unorderedSizeTable),
             navigationUrls: processNavigationUrls(this.baseHref, config.navigationUrls),
             navigationRequestStrategy: config.navigationRequestStrategy ?? 'performance',
+            storageEvictionThreshold: processStorageEvictionThreshold(config.storageEvictionThreshold),
+            prefetchConcurrency: processPrefetchConcurrency(config.prefetchConcurrency),
         };
     }
-    async processAssetGroups(config, hashTable) {
+    async processAssetGroups(config, hashTable, sizeTable) {
+        const hashAlgorithm = processHashAlgorithm(config.hashAlgorithm);
         // Retrieve all files of the build.
         const allFiles = await this.fs.list('/');
         const seenMap = new Set();
@@ -126,6 +137,10 @@ class Generator {
                 throw new Error(`Asset-group '${group.name}' in 'ngsw-config.json' uses the 'versionedFiles' option, ` +
                     'which is no longer supported. Use \'files\' instead.');
             }
+            if (group.priority !== undefined && !Number.isFinite(group.priority)) {
+                throw new Error(`Asset-group '${group.name}' in 'ngsw-config.json' has an invalid 'priority' ` +
+                    `(${group.priority}). It must be a finite number.`);
+            }
             const fileMatcher = globListToMatcher(group.resources.files || []);
             const matchedFiles = allFiles.filter(fileMatcher).filter(file => !seenMap.has(file)).sort();
             matchedFiles.forEach(file => seenMap.add(file));
@@ -133,17 +148,27 @@ class Generator {
         }
         // Compute hashes for all matched files and add them to the hash-table.
         const allMatchedFiles = [].concat(...Array.from(filesPerGroup.values())).sort();
-        const allMatchedHashes = await processInBatches(allMatchedFiles, 500, file => this.fs.hash(file));
+        const allMatchedHashes = await processInBatches(allMatchedFiles, 500, file => this.fs.hash(file, hashAlgorithm));
         allMatchedFiles.forEach((file, idx) => {
             hashTable[joinUrls(this.baseHref, file)] = allMatchedHashes[idx];
         });
+        // Record the size of all matched files, if the filesystem can provide it.
+        if (this.fs.size) {
+            const allMatchedSizes = await processInBatches(allMatchedFiles, 500, file => this.fs.size(file));
+            allMatchedFiles.forEach((file, idx) => {
+                sizeTable[joinUrls(this.baseHref, file)] = allMatchedSizes[idx];
+            });
+        }
         // Generate and return the processed asset-groups.
         return Array.from(filesPerGroup.entries())
             .map(([group, matchedFiles]) => ({
             name: group.name,
             installMode: group.installMode || 'prefetch',
             updateMode: group.updateMode || group.installMode || 'prefetch',
+            priority: group.priority,
             cacheQueryOptions: buildCacheQueryOptions(group.cacheQueryOptions),
+            urlNormalization: buildUrlNormalization(group.cacheQueryOptions),
+            fetchConfig: group.fetchConfig && processFetchConfig(group),
             urls: matchedFiles.map(url => joinUrls(this.baseHref, url)),
             patterns: (group.resources.urls || []).map(url => urlToRegex(url, this.baseHref, true)),
         }));
@@ -155,11 +180,29 @@ class Generator {
                 patterns: group.urls.map(url => urlToRegex(url, this.baseHref, true)),
                 strategy: group.cacheConfig.strategy || 'performance',
                 maxSize: group.cacheConfig.maxSize,
+                maxBytes: group.cacheConfig.maxBytes,
+                maxResponseBytes: group.cacheConfig.maxResponseBytes,
                 maxAge: parseDurationToMs(group.cacheConfig.maxAge),
+                refreshAheadMs: group.cacheConfig.refreshAhead && parseDurationToMs(group.cacheConfig.refreshAhead),
                 timeoutMs: group.cacheConfig.timeout && parseDurationToMs(group.cacheConfig.timeout),
+                abortOnTimeout: group.cacheConfig.abortOnTimeout,
+                staleIfErrorMs: group.cacheConfig.staleIfError && parseDurationToMs(group.cacheConfig.staleIfError),
                 cacheOpaqueResponses: group.cacheConfig.cacheOpaqueResponses,
+                honorCacheControl: group.cacheConfig.honorCacheControl,
                 cacheQueryOptions: buildCacheQueryOptions(group.cacheQueryOptions),
+                urlNormalization: buildUrlNormalization(group.cacheQueryOptions),
                 version: group.version !== undefined ? group.version : 1,
+                offlineQueue: group.offlineQueue && {
+                    maxAge: group.offlineQueue.maxAge && parseDurationToMs(group.offlineQueue.maxAge),
+                    storeHeaders: group.offlineQueue.storeHeaders &&
+                        group.offlineQueue.storeHeaders.map(header => header.toLowerCase()),
+                },
+                invalidationRules: group.invalidationRules &&
+                    group.invalidationRules.map(rule => processInvalidationRule(group.name, rule, this.baseHref)),
+                postCaching: group.postCaching && processPostCaching(group),
+                varyHeaders: group.varyHeaders && processVaryHeaders(group),
+                partitionBy: group.partitionBy && processPartitionBy(group),
+                prefetchUrls: group.prefetchUrls && processPrefetchUrls(group, this.baseHref),
             };
         });
     }
@@ -171,6 +214,102 @@ function processNavigationUrls(baseHref, urls = DEFAULT_NAVIGATION_URLS) {
         return { positive, regex: `^${urlToRegex(url, baseHref)}$` };
     });
 }
+function processStorageEvictionThreshold(threshold) {
+    if (threshold !== undefined && !(threshold > 0 && threshold <= 1)) {
+        throw new Error(`The 'storageEvictionThreshold' option in 'ngsw-config.json' must be a number ` +
+            `greater than 0 and at most 1, got ${threshold}.`);
+    }
+    return threshold;
+}
+function processFetchConfig(group) {
+    const { timeout, maxRetries, retryDelay } = group.fetchConfig;
+    if (maxRetries !== undefined && !(Number.isInteger(maxRetries) && maxRetries >= 0)) {
+        throw new Error(`Asset-group '${group.name}' in 'ngsw-config.json' has an invalid ` +
+            `'fetchConfig.maxRetries' value: ${maxRetries}. It must be a non-negative integer.`);
+    }
+    return {
+        timeoutMs: timeout && parseDurationToMs(timeout),
+        maxRetries,
+        retryDelayMs: retryDelay && parseDurationToMs(retryDelay),
+    };
+}
+function processHashAlgorithm(algorithm = 'sha1') {
+    if (!SUPPORTED_HASH_ALGORITHMS.includes(algorithm)) {
+        throw new Error(`Unsupported 'hashAlgorithm' '${algorithm}' in 'ngsw-config.json'. ` +
+            `Expected one of: ${SUPPORTED_HASH_ALGORITHMS.map(a => `'${a}'`).join(', ')}.`);
+    }
+    return algorithm;
+}
+function processPrefetchConcurrency(concurrency) {
+    if (concurrency !== undefined && !(Number.isInteger(concurrency) && concurrency > 0)) {
+        throw new Error(`The 'prefetchConcurrency' option in 'ngsw-config.json' must be a positive ` +
+            `integer, got ${concurrency}.`);
+    }
+    return concurrency;
+}
+function processInvalidationRule(groupName, rule, baseHref) {
+    const params = [];
+    const pattern = urlToRegex(rule.url, baseHref, true).replace(URL_PARAM, (_, name) => {
+        params.push(name);
+        return '([^/?#]+)';
+    });
+    const invalidates = rule.invalidates.map(url => {
+        const regex = urlToRegex(url, baseHref, true);
+        const unknownParam = (regex.match(URL_PARAM) || []).find(param => params.indexOf(param.slice(1)) === -1);
+        if (unknownParam !== undefined) {
+            throw new Error(`Data-group '${groupName}' in 'ngsw-config.json' has an invalidation rule for ` +
+                `'${rule.url}' that uses the unknown parameter '${unknownParam}' in '${url}'.`);
+        }
+        return `${regex}$`;
+    });
+    return {
+        methods: (rule.methods || DEFAULT_INVALIDATION_METHODS).map(method => method.toUpperCase()),
+        pattern: `${pattern}$`,
+        params,
+        invalidates,
+    };
+}
+function processPostCaching(group) {
+    if (group.cacheQueryOptions && group.cacheQueryOptions.ignoreSearch) {
+        throw new Error(`Data-group '${group.name}' in 'ngsw-config.json' uses the 'postCaching' option, ` +
+            `which cannot be combined with 'cacheQueryOptions.ignoreSearch'.`);
+    }
+    return {
+        keyFields: group.postCaching.keyFields || DEFAULT_POST_CACHE_KEY_FIELDS,
+    };
+}
+function processVaryHeaders(group) {
+    if (group.cacheQueryOptions && group.cacheQueryOptions.ignoreSearch) {
+        throw new Error(`Data-group '${group.name}' in 'ngsw-config.json' uses the 'varyHeaders' option, ` +
+            `which cannot be combined with 'cacheQueryOptions.ignoreSearch'.`);
+    }
+    return group.varyHeaders.map(header => header.toLowerCase()).sort();
+}
+function processPartitionBy(group) {
+    const { header, cookie } = group.partitionBy;
+    if ((header === undefined) === (cookie === undefined)) {
+        throw new Error(`Data-group '${group.name}' in 'ngsw-config.json' uses the 'partitionBy' option, ` +
+            `which must specify exactly one of 'header' or 'cookie'.`);
+    }
+    if (group.cacheQueryOptions && group.cacheQueryOptions.ignoreSearch) {
+        throw new Error(`Data-group '${group.name}' in 'ngsw-config.json' uses the 'partitionBy' option, ` +
+            `which cannot be combined with 'cacheQueryOptions.ignoreSearch'.`);
+    }
+    return { header: header && header.toLowerCase(), cookie };
+}
+function processPrefetchUrls(group, baseHref) {
+    const patterns = group.urls.map(url => new RegExp(urlToRegex(url, baseHref, true)));
+    return group.prefetchUrls.map(url => {
+        const resolved = !url.startsWith('/') && url.indexOf('://') === -1 ?
+            joinUrls(baseHref.replace(/^\.(?=\/)/, ''), url) :
+            url;
+        if (!patterns.some(pattern => pattern.test(resolved))) {
+            throw new Error(`Data-group '${group.name}' in 'ngsw-config.json' has the prefetch URL '${url}', ` +
+                `which does not match any of its 'urls'.`);
+        }
+        return resolved;
+    });
+}
 async function processInBatches(items, batchSize, processFn) {
     const batches = [];
     for (let i = 0; i < items.length; i += batchSize) {
@@ -229,11 +368,391 @@ function withOrderedKeys(unorderedObj) {
     return orderedObj;
 }
 function buildCacheQueryOptions(inOptions) {
+    const { ignoreQueryParams, sortQueryParams, ...options } = inOptions || {};
     return {
         ignoreVary: true,
-        ...inOptions,
+        ...options,
     };
 }
+function buildUrlNormalization(inOptions) {
+    if (!inOptions || (inOptions.ignoreQueryParams === undefined && !inOptions.sortQueryParams)) {
+        return undefined;
+    }
+    return {
+        ignoreQueryParams: (inOptions.ignoreQueryParams || []).map(param => `^${globToRegex(param)}$`),
+        sortQueryParams: !!inOptions.sortQueryParams,
+    };
+}
+
+// The rules below mirror `config/schema.json`. Keep them in sync when adding options;
+// `test/config/validate_schema_spec.mjs` fails when a property, type or enum differs.
+const string = { type: 'string' };
+const boolean = { type: 'boolean' };
+const duration = { type: 'string', duration: true };
+const uniqueStrings = { type: 'array', items: string, uniqueItems: true };
+const cacheQueryOptions = object({
+    ignoreSearch: boolean,
+    ignoreQueryParams: uniqueStrings,
+    sortQueryParams: boolean,
+});
+const assetGroup = object({
+    name: string,
+    installMode: { enum: ['prefetch', 'lazy'] },
+    updateMode: { enum: ['prefetch', 'lazy'] },
+    priority: { type: 'number' },
+    resources: object({
+        files: uniqueStrings,
+        urls: uniqueStrings,
+    }),
+    cacheQueryOptions,
+    fetchConfig: object({
+        timeout: duration,
+        maxRetries: { type: 'integer', minimum: 0 },
+        retryDelay: duration,
+    }),
+}, ['name', 'resources']);
+const dataGroup = object({
+    name: string,
+    urls: uniqueStrings,
+    version: { type: 'integer' },
+    cacheConfig: object({
+        maxSize: { type: 'integer' },
+        maxBytes: { type: 'integer', minimum: 1 },
+        maxResponseBytes: { type: 'integer', minimum: 1 },
+        maxAge: duration,
+        refreshAhead: duration,
+        timeout: duration,
+        abortOnTimeout: boolean,
+        staleIfError: duration,
+        strategy: { enum: ['freshness', 'performance', 'staleWhileRevalidate'] },
+        cacheOpaqueResponses: boolean,
+        honorCacheControl: boolean,
+    }, ['maxSize', 'maxAge']),
+    cacheQueryOptions,
+    offlineQueue: object({
+        maxAge: duration,
+        storeHeaders: uniqueStrings,
+    }),
+    invalidationRules: {
+        type: 'array',
+        items: object({
+            methods: uniqueStrings,
+            url: string,
+            invalidates: uniqueStrings,
+        }, ['url', 'invalidates']),
+    },
+    postCaching: object({
+        keyFields: uniqueStrings,
+    }),
+    varyHeaders: uniqueStrings,
+    partitionBy: object({
+        header: string,
+        cookie: string,
+    }),
+    prefetchUrls: uniqueStrings,
+}, ['name', 'urls', 'cacheConfig']);
+const configRules = object({
+    $schema: string,
+    appData: { type: 'object' },
+    index: string,
+    assetGroups: { type: 'array', items: assetGroup },
+    dataGroups: { type: 'array', items: dataGroup },
+    navigationUrls: uniqueStrings,
+    navigationRequestStrategy: { enum: ['freshness', 'performance'] },
+    storageEvictionThreshold: { type: 'number', exclusiveMinimum: 0, maximum: 1 },
+    prefetchConcurrency: { type: 'integer', minimum: 1 },
+    hashAlgorithm: { enum: ['sha1', 'sha256', 'sha384'] },
+}, ['index']);
+function object(properties, required = []) {
+    return { type: 'object', properties, required };
+}
+/**
+ * Checks a service worker configuration (the parsed contents of `ngsw-config.json`) against the
+ * configuration schema.
+ *
+ * Unlike `Generator.process()`, which stops at the first problem it runs into, this reports every
+ * problem found, each with the JSON path and the offending value, and a suggested fix where one can
+ * be inferred (for example, the intended spelling of a misspelled property).
+ *
+ * @returns the list of problems found, which is empty for a valid configuration.
+ *
+ * @publicApi
+ */
+function validateConfig(config) {
+    const issues = [];
+    validateValue(config, configRules, '$', issues);
+    return issues;
+}
+function validateValue(value, rule, path, issues) {
+    const report = (message, suggestion) => issues.push({ path, value, message, suggestion });
+    if (rule.enum !== undefined) {
+        if (!rule.enum.includes(value)) {
+            const closest = typeof value === 'string' ? closestMatch(value, rule.enum) : null;
+            report(`Expected one of ${rule.enum.map(v => `'${v}'`).join(', ')}.`, closest !== null ? `Did you mean '${closest}'?` : undefined);
+        }
+        return;
+    }
+    if (!hasType(value, rule.type)) {
+        report(`Expected ${describeType(rule.type)}, got ${describeValue(value)}.`);
+        return;
+    }
+    switch (rule.type) {
+        case 'string':
+            if (rule.duration) {
+                validateDuration(value, report);
+            }
+            break;
+        case 'number':
+        case 'integer':
+            if (rule.minimum !== undefined && value < rule.minimum) {
+                report(`Must be at least ${rule.minimum}.`);
+            }
+            if (rule.exclusiveMinimum !== undefined && value <= rule.exclusiveMinimum) {
+                report(`Must be greater than ${rule.exclusiveMinimum}.`);
+            }
+            if (rule.maximum !== undefined && value > rule.maximum) {
+                report(`Must be at most ${rule.maximum}.`);
+            }
+            break;
+        case 'array':
+            value.forEach((item, idx) => {
+                const itemPath = `${path}[${idx}]`;
+                if (rule.uniqueItems && value.indexOf(item) !== idx) {
+                    issues.push({
+                        path: itemPath,
+                        value: item,
+                        message: `Duplicate entry, already listed at index ${value.indexOf(item)}.`,
+                        suggestion: 'Remove the duplicate.',
+                    });
+                }
+                validateValue(item, rule.items, itemPath, issues);
+            });
+            break;
+        case 'object':
+            if (rule.properties !== undefined) {
+                validateObject(value, rule, path, issues);
+            }
+            break;
+    }
+}
+function validateObject(value, rule, path, issues) {
+    const known = Object.keys(rule.properties);
+    for (const name of rule.required) {
+        if (!value.hasOwnProperty(name)) {
+            const misspelled = Object.keys(value).find(key => !known.includes(key) && closestMatch(key, [name]) !== null);
+            issues.push({
+                path: `${path}.${name}`,
+                value: undefined,
+                message: `Missing required property '${name}'.`,
+                suggestion: misspelled !== undefined ? `Rename '${misspelled}' to '${name}'.` :
+                    `Add a '${name}' property.`,
+            });
+        }
+    }
+    for (const [name, propValue] of Object.entries(value)) {
+        const propPath = `${path}.${name}`;
+        if (!known.includes(name)) {
+            const closest = closestMatch(name, known);
+            issues.push({
+                path: propPath,
+                value: propValue,
+                message: `Unknown property '${name}'.`,
+                suggestion: closest !== null ? `Did you mean '${closest}'?` : 'Remove the property.',
+            });
+            continue;
+        }
+        validateValue(propValue, rule.properties[name], propPath, issues);
+    }
+}
+function validateDuration(value, report) {
+    const suggestion = `Use a duration such as '3d12h', made of numbers followed by one of the ` +
+        `units 'd', 'h', 'm', 's' or 'u' (milliseconds).`;
+    try {
+        if (!/^([0-9]+[^0-9]+)+$/.test(value)) {
+            throw new Error(`Not a valid duration: ${value}`);
+        }
+        parseDurationToMs(value);
+    }
+    catch (err) {
+        report(err.message, suggestion);
+    }
+}
+function hasType(value, type) {
+    switch (type) {
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+            return typeof value === 'object' && value !== null && !Array.isArray(value);
+        case 'integer':
+            return Number.isInteger(value);
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        default:
+            return typeof value === type;
+    }
+}
+function describeType(type) {
+    return type === 'array' || type === 'integer' || type === 'object' ? `an ${type}` : `a ${type}`;
+}
+function describeValue(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'an array';
+    }
+    return typeof value === 'string' ? `'${value}'` : typeof value === 'object' ? 'an object' :
+        String(value);
+}
+/**
+ * Finds the candidate closest to `value`, ignoring case, if it is close enough to be a likely
+ * misspelling. Returns `null` otherwise.
+ */
+function closestMatch(value, candidates) {
+    let best = null;
+    let bestDistance = Infinity;
+    for (const candidate of candidates) {
+        const distance = levenshtein(value.toLowerCase(), candidate.toLowerCase());
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+    return bestDistance <= Math.max(1, Math.floor(value.length / 4)) ? best : null;
+}
+function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, idx) => idx);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// Files in the distribution directory that are not expected to be cached by an asset group.
+const UNCACHED_FILES = ['/ngsw.json', '/ngsw-worker.js', '/safety-worker.js', '/worker-basic.min.js'];
+/**
+ * Looks for likely mistakes in a valid service worker configuration, given the files of the
+ * distribution directory it will be applied to.
+ *
+ * These are not errors: `Generator.process()` accepts such a configuration, but the resulting
+ * manifest probably does not cache what was intended. Warnings are reported for:
+ * - asset groups that do not claim any file or URL,
+ * - globs that match no file, or only files already claimed by an earlier asset group,
+ * - files that are not cached by any asset group,
+ * - an `index` that does not exist or is not prefetched,
+ * - data group URL patterns that match asset files, which asset groups always handle first.
+ *
+ * @returns the list of warnings, which is empty if nothing suspicious was found.
+ *
+ * @publicApi
+ */
+async function lintConfig(config, fs, baseHref = '/') {
+    const warnings = [];
+    const allFiles = (await fs.list('/')).sort();
+    const claimedBy = new Map();
+    (config.assetGroups || []).forEach((group, groupIdx) => {
+        const path = `$.assetGroups[${groupIdx}]`;
+        const globs = group.resources.files || [];
+        globs.forEach((glob, globIdx) => {
+            if (glob.startsWith('!')) {
+                return;
+            }
+            const matched = allFiles.filter(globListToMatcher([glob]));
+            if (matched.length === 0) {
+                warnings.push({
+                    path: `${path}.resources.files[${globIdx}]`,
+                    value: glob,
+                    message: `'${glob}' does not match any file.`,
+                    suggestion: 'Fix the glob or remove it.',
+                });
+            }
+            else if (matched.every(file => claimedBy.has(file))) {
+                const owners = Array.from(new Set(matched.map(file => claimedBy.get(file).name)));
+                warnings.push({
+                    path: `${path}.resources.files[${globIdx}]`,
+                    value: glob,
+                    message: `'${glob}' only matches files already claimed by ` +
+                        `${listNames('asset group', owners)}, so it has no effect.`,
+                    suggestion: `Remove the glob, or move asset group '${group.name}' before ` +
+                        `${listNames('asset group', owners)}.`,
+                });
+            }
+        });
+        const claimed = allFiles.filter(globListToMatcher(globs)).filter(file => !claimedBy.has(file));
+        if (claimed.length === 0 && (group.resources.urls || []).length === 0) {
+            warnings.push({
+                path,
+                value: group.name,
+                message: `Asset group '${group.name}' does not claim any file or URL, so it never caches ` +
+                    `anything.`,
+                suggestion: 'Fix its globs or remove the group.',
+            });
+        }
+        claimed.forEach(file => claimedBy.set(file, group));
+    });
+    allFiles.filter(file => !claimedBy.has(file) && !UNCACHED_FILES.includes(file)).forEach(file => {
+        warnings.push({
+            path: '$.assetGroups',
+            value: file,
+            message: `'${file}' is not cached by any asset group.`,
+            suggestion: 'Add it to an asset group if the app needs it offline.',
+        });
+    });
+    const indexGroup = claimedBy.get(config.index);
+    if (!allFiles.includes(config.index)) {
+        warnings.push({
+            path: '$.index',
+            value: config.index,
+            message: `'${config.index}' does not exist in the distribution directory.`,
+        });
+    }
+    else if (indexGroup === undefined) {
+        warnings.push({
+            path: '$.index',
+            value: config.index,
+            message: `'${config.index}' is not cached by any asset group, so navigation requests ` +
+                `fail while offline.`,
+            suggestion: `Add '${config.index}' to an asset group with 'installMode' 'prefetch'.`,
+        });
+    }
+    else if ((indexGroup.installMode || 'prefetch') !== 'prefetch') {
+        warnings.push({
+            path: '$.index',
+            value: config.index,
+            message: `'${config.index}' is cached lazily by asset group '${indexGroup.name}', so the ` +
+                `app may not load offline after an update.`,
+            suggestion: `Move '${config.index}' to an asset group with 'installMode' 'prefetch'.`,
+        });
+    }
+    (config.dataGroups || []).forEach((group, groupIdx) => {
+        group.urls.forEach((url, urlIdx) => {
+            const regex = new RegExp(urlToRegex(url, baseHref, true));
+            const shadowed = Array.from(claimedBy.keys()).filter(file => regex.test(joinUrls(baseHref, file)));
+            if (shadowed.length > 0) {
+                warnings.push({
+                    path: `$.dataGroups[${groupIdx}].urls[${urlIdx}]`,
+                    value: url,
+                    message: `'${url}' also matches asset files (${listFiles(shadowed)}). Requests for ` +
+                        `these are handled by asset groups and never reach data group '${group.name}'.`,
+                    suggestion: 'Narrow the URL pattern, or exclude the files from the asset groups.',
+                });
+            }
+        });
+    });
+    return warnings;
+}
+function listNames(kind, names) {
+    const quoted = names.map(name => `'${name}'`);
+    return names.length === 1 ? `${kind} ${quoted[0]}` : `${kind}s ${quoted.join(', ')}`;
+}
+function listFiles(files) {
+    const shown = files.slice(0, 3).map(file => `'${file}'`).join(', ');
+    return files.length > 3 ? `${shown} and ${files.length - 3} more` : shown;
+}
 
 // This file is not used to build this module. It is only used during editing
 
@@ -241,5 +760,4 @@ function buildCacheQueryOptions(inOptions) {
  * Generated bundle index. Do not edit.
  */
 
-export { Generator };
-//# sourceMappingURL=config.mjs.map
+export { Generator, lintConfig, validateConfig };
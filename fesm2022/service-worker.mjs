@@ -85,6 +85,118 @@ class NgswCommChannel {
     }
 }
 
+/**
+ * Manage the data cached by the Service Worker for the `dataGroups` of the app.
+ *
+ * @publicApi
+ */
+class SwCache {
+    /**
+     * True if the Service Worker is enabled (supported by the browser and enabled via
+     * `ServiceWorkerModule`).
+     */
+    get isEnabled() {
+        return this.sw.isEnabled;
+    }
+    constructor(sw) {
+        this.sw = sw;
+        if (!sw.isEnabled) {
+            this.dataUpdates = NEVER;
+            return;
+        }
+        this.dataUpdates = this.sw.eventsOfType('DATA_UPDATED');
+    }
+    /**
+     * Drops all cached responses of data groups that are partitioned with `partitionBy`.
+     *
+     * Call this whenever the identity used for partitioning changes (for example, when a user logs
+     * out), so that the data cached for the previous identity is removed from the device.
+     *
+     * @returns a promise that
+     * - resolves once the cached responses have been dropped
+     * - rejects if any error occurs
+     */
+    resetPartitions() {
+        if (!this.sw.isEnabled) {
+            return Promise.reject(new Error(ERR_SW_NOT_SUPPORTED));
+        }
+        const nonce = this.sw.generateNonce();
+        return this.sw.postMessageWithOperation('RESET_DATA_PARTITIONS', { nonce }, nonce)
+            .then(() => undefined);
+    }
+    /**
+     * Fetches the given URLs and stores the responses in the data groups whose `urls` they match,
+     * so that they are available offline before the app requests them.
+     *
+     * URLs are resolved relative to the Service Worker script. Data groups partitioned with
+     * `partitionBy` only store a response if the identity can be determined for the request.
+     *
+     * @returns a promise that
+     * - resolves to `true` if every URL matched a data group and its response was cached
+     * - resolves to `false` if any URL did not match a data group or could not be cached
+     * - rejects if any error occurs
+     */
+    prefetch(urls) {
+        if (!this.sw.isEnabled) {
+            return Promise.reject(new Error(ERR_SW_NOT_SUPPORTED));
+        }
+        const nonce = this.sw.generateNonce();
+        return this.sw.postMessageWithOperation('PREFETCH_DATA', { urls, nonce }, nonce);
+    }
+    /**
+     * Lists the data groups of the version of the app used by this client, together with the number
+     * of responses they have cached and the size of those responses in bytes.
+     *
+     * @returns a promise that
+     * - resolves to the list of data groups
+     * - rejects if any error occurs
+     */
+    listDataGroups() {
+        if (!this.sw.isEnabled) {
+            return Promise.reject(new Error(ERR_SW_NOT_SUPPORTED));
+        }
+        const nonce = this.sw.generateNonce();
+        return this.sw.postMessageWithOperation('LIST_DATA_GROUPS', { nonce }, nonce);
+    }
+    /**
+     * Deletes the cached responses for the given URL from all data groups, including all variants
+     * that were cached for it.
+     *
+     * @returns a promise that
+     * - resolves to `true` if a cached response was deleted
+     * - resolves to `false` if no response was cached for the URL
+     * - rejects if any error occurs
+     */
+    delete(url) {
+        if (!this.sw.isEnabled) {
+            return Promise.reject(new Error(ERR_SW_NOT_SUPPORTED));
+        }
+        const nonce = this.sw.generateNonce();
+        return this.sw.postMessageWithOperation('DELETE_DATA_URL', { url, nonce }, nonce);
+    }
+    /**
+     * Deletes all cached responses of the data group with the given name, or of all data groups if no
+     * name is given.
+     *
+     * @returns a promise that
+     * - resolves to `true` if a matching data group was cleared
+     * - resolves to `false` if there is no data group with the given name
+     * - rejects if any error occurs
+     */
+    clear(group) {
+        if (!this.sw.isEnabled) {
+            return Promise.reject(new Error(ERR_SW_NOT_SUPPORTED));
+        }
+        const nonce = this.sw.generateNonce();
+        return this.sw.postMessageWithOperation('CLEAR_DATA_GROUPS', { group, nonce }, nonce);
+    }
+    static { this.ɵfac = i0.ɵɵngDeclareFactory({ minVersion: "12.0.0", version: "16.3.0-next.0+sha-4e22a39", ngImport: i0, type: SwCache, deps: [{ token: NgswCommChannel }], target: i0.ɵɵFactoryTarget.Injectable }); }
+    static { this.ɵprov = i0.ɵɵngDeclareInjectable({ minVersion: "12.0.0", version: "16.3.0-next.0+sha-4e22a39", ngImport: i0, type: SwCache }); }
+}
+i0.ɵɵngDeclareClassMetadata({ minVersion: "12.0.0", version: "16.3.0-next.0+sha-4e22a39", ngImport: i0, type: SwCache, decorators: [{
+            type: Injectable
+        }], ctorParameters: function () { return [{ type: NgswCommChannel }]; } });
+
 /**
  * Subscribe and listen to
  * [Web Push
@@ -274,6 +386,7 @@ class SwUpdate {
         }
         this.versionUpdates = this.sw.eventsOfType([
             'VERSION_DETECTED',
+            'VERSION_INSTALLATION_PROGRESS',
             'VERSION_INSTALLATION_FAILED',
             'VERSION_READY',
             'NO_NEW_VERSION_DETECTED',
@@ -389,10 +502,15 @@ function ngswAppInitializer(injector, script, options, platformId) {
         // given that some registration strategies wait for the app to stabilize).
         // Catch and log the error if SW registration fails to avoid uncaught rejection warning.
         const ngZone = injector.get(NgZone);
-        ngZone.runOutsideAngular(() => readyToRegister$.pipe(take(1)).subscribe(() => navigator.serviceWorker.register(script, { scope: options.scope })
+        const scriptUrl = options.manifestPublicKey ? withManifestPublicKey(script, options.manifestPublicKey) : script;
+        ngZone.runOutsideAngular(() => readyToRegister$.pipe(take(1)).subscribe(() => navigator.serviceWorker.register(scriptUrl, { scope: options.scope })
             .catch(err => console.error('Service worker registration failed with:', err))));
     };
 }
+function withManifestPublicKey(script, publicKey) {
+    const separator = script.includes('?') ? '&' : '?';
+    return `${script}${separator}ngsw-manifest-key=${encodeURIComponent(publicKey)}`;
+}
 function delayWithTimeout(timeout) {
     return of(null).pipe(delay(timeout));
 }
@@ -437,6 +555,7 @@ class SwRegistrationOptions {
  */
 function provideServiceWorker(script, options = {}) {
     return makeEnvironmentProviders([
+        SwCache,
         SwPush,
         SwUpdate,
         { provide: SCRIPT, useValue: script },
@@ -473,11 +592,11 @@ class ServiceWorkerModule {
     }
     static { this.ɵfac = i0.ɵɵngDeclareFactory({ minVersion: "12.0.0", version: "16.3.0-next.0+sha-4e22a39", ngImport: i0, type: ServiceWorkerModule, deps: [], target: i0.ɵɵFactoryTarget.NgModule }); }
     static { this.ɵmod = i0.ɵɵngDeclareNgModule({ minVersion: "14.0.0", version: "16.3.0-next.0+sha-4e22a39", ngImport: i0, type: ServiceWorkerModule }); }
-    static { this.ɵinj = i0.ɵɵngDeclareInjector({ minVersion: "12.0.0", version: "16.3.0-next.0+sha-4e22a39", ngImport: i0, type: ServiceWorkerModule, providers: [SwPush, SwUpdate] }); }
+    static { this.ɵinj = i0.ɵɵngDeclareInjector({ minVersion: "12.0.0", version: "16.3.0-next.0+sha-4e22a39", ngImport: i0, type: ServiceWorkerModule, providers: [SwCache, SwPush, SwUpdate] }); }
 }
 i0.ɵɵngDeclareClassMetadata({ minVersion: "12.0.0", version: "16.3.0-next.0+sha-4e22a39", ngImport: i0, type: ServiceWorkerModule, decorators: [{
             type: NgModule,
-            args: [{ providers: [SwPush, SwUpdate] }]
+            args: [{ providers: [SwCache, SwPush, SwUpdate] }]
         }] });
 
 /**
@@ -493,5 +612,4 @@ i0.ɵɵngDeclareClassMetadata({ minVersion: "12.0.0", version: "16.3.0-next.0+sh
  * Generated bundle index. Do not edit.
  */
 
-export { ServiceWorkerModule, SwPush, SwRegistrationOptions, SwUpdate, provideServiceWorker };
-//# sourceMappingURL=service-worker.mjs.map
+export { ServiceWorkerModule, SwCache, SwPush, SwRegistrationOptions, SwUpdate, provideServiceWorker };
@@ -10,6 +10,48 @@ import * as i0 from '@angular/core';
 import { ModuleWithProviders } from '@angular/core';
 import { Observable } from 'rxjs';
 
+/**
+ * Describes the responses cached by the Service Worker for a data group.
+ *
+ * @see {@link SwCache#listDataGroups}
+ *
+ * @publicApi
+ */
+export declare interface DataGroupCacheInfo {
+    /**
+     * The name of the data group.
+     */
+    name: string;
+    /**
+     * The number of cached responses.
+     */
+    entries: number;
+    /**
+     * The total size of the cached responses in bytes. Opaque responses are counted as 0 bytes.
+     */
+    bytes: number;
+}
+
+/**
+ * An event emitted when the Service Worker has replaced a cached response of a data group in the
+ * background.
+ *
+ * @see {@link SwCache#dataUpdates}
+ *
+ * @publicApi
+ */
+export declare interface DataUpdatedEvent {
+    type: 'DATA_UPDATED';
+    /**
+     * The name of the data group the response belongs to.
+     */
+    group: string;
+    /**
+     * The URL of the request the cached response was stored for.
+     */
+    url: string;
+}
+
 /**
  * @publicApi
  */
@@ -79,6 +121,82 @@ export declare class ServiceWorkerModule {
     static ɵinj: i0.ɵɵInjectorDeclaration<ServiceWorkerModule>;
 }
 
+/**
+ * Manage the data cached by the Service Worker for the `dataGroups` of the app.
+ *
+ * @publicApi
+ */
+export declare class SwCache {
+    private sw;
+    /**
+     * Emits a `DataUpdatedEvent` event whenever the Service Worker replaces a cached response of a
+     * data group outside of a request made by this client, for example when a response is
+     * refreshed in the background or arrives after the network timeout.
+     */
+    readonly dataUpdates: Observable<DataUpdatedEvent>;
+    /**
+     * True if the Service Worker is enabled (supported by the browser and enabled via
+     * `ServiceWorkerModule`).
+     */
+    get isEnabled(): boolean;
+    constructor(sw: NgswCommChannel);
+    /**
+     * Drops all cached responses of data groups that are partitioned with `partitionBy`.
+     *
+     * Call this whenever the identity used for partitioning changes (for example, when a user logs
+     * out), so that the data cached for the previous identity is removed from the device.
+     *
+     * @returns a promise that
+     * - resolves once the cached responses have been dropped
+     * - rejects if any error occurs
+     */
+    resetPartitions(): Promise<void>;
+    /**
+     * Fetches the given URLs and stores the responses in the data groups whose `urls` they match,
+     * so that they are available offline before the app requests them.
+     *
+     * URLs are resolved relative to the Service Worker script. Data groups partitioned with
+     * `partitionBy` only store a response if the identity can be determined for the request.
+     *
+     * @returns a promise that
+     * - resolves to `true` if every URL matched a data group and its response was cached
+     * - resolves to `false` if any URL did not match a data group or could not be cached
+     * - rejects if any error occurs
+     */
+    prefetch(urls: string[]): Promise<boolean>;
+    /**
+     * Lists the data groups of the version of the app used by this client, together with the number
+     * of responses they have cached and the size of those responses in bytes.
+     *
+     * @returns a promise that
+     * - resolves to the list of data groups
+     * - rejects if any error occurs
+     */
+    listDataGroups(): Promise<DataGroupCacheInfo[]>;
+    /**
+     * Deletes the cached responses for the given URL from all data groups, including all variants
+     * that were cached for it.
+     *
+     * @returns a promise that
+     * - resolves to `true` if a cached response was deleted
+     * - resolves to `false` if no response was cached for the URL
+     * - rejects if any error occurs
+     */
+    delete(url: string): Promise<boolean>;
+    /**
+     * Deletes all cached responses of the data group with the given name, or of all data groups if no
+     * name is given.
+     *
+     * @returns a promise that
+     * - resolves to `true` if a matching data group was cleared
+     * - resolves to `false` if there is no data group with the given name
+     * - rejects if any error occurs
+     */
+    clear(group?: string): Promise<boolean>;
+    static ɵfac: i0.ɵɵFactoryDeclaration<SwCache, never>;
+    static ɵprov: i0.ɵɵInjectableDeclaration<SwCache>;
+}
+
 /**
  * Subscribe and listen to
  * [Web Push
@@ -273,6 +391,19 @@ export declare abstract class SwRegistrationOptions {
      * Default: 'registerWhenStable:30000'
      */
     registrationStrategy?: string | (() => Observable<unknown>);
+    /**
+     * The base64-encoded public key (SPKI, ECDSA P-256) used by the ServiceWorker to verify the
+     * signature of `ngsw.json` before installing a new version of the app. The manifest is signed by
+     * the `ngsw-config` CLI when `--signing-key` or the `NGSW_SIGNING_KEY` environment variable
+     * points to the matching private key.
+     *
+     * The key is passed to the ServiceWorker as the `ngsw-manifest-key` query parameter of its script
+     * URL, so it is only enforced for registrations made with this option. A manifest that is
+     * unsigned or fails verification is rejected and reported as a `VersionInstallationFailedEvent`.
+     *
+     * Default: no verification
+     */
+    manifestPublicKey?: string;
 }
 
 /**
@@ -288,6 +419,9 @@ export declare class SwUpdate {
     /**
      * Emits a `VersionDetectedEvent` event whenever a new version is detected on the server.
      *
+     * Emits `VersionInstallationProgressEvent` events while a new version is being downloaded, at
+     * most once per percent of each asset group and always once the group is complete.
+     *
      * Emits a `VersionInstallationFailedEvent` event whenever checking for or downloading a new
      * version fails.
      *
@@ -456,7 +590,7 @@ export declare interface VersionDetectedEvent {
  *
  * @publicApi
  */
-export declare type VersionEvent = VersionDetectedEvent | VersionInstallationFailedEvent | VersionReadyEvent | NoNewVersionDetectedEvent;
+export declare type VersionEvent = VersionDetectedEvent | VersionInstallationProgressEvent | VersionInstallationFailedEvent | VersionReadyEvent | NoNewVersionDetectedEvent;
 
 /**
  * An event emitted when the installation of a new version failed.
@@ -475,6 +609,30 @@ export declare interface VersionInstallationFailedEvent {
     error: string;
 }
 
+/**
+ * An event emitted while a new version of the app is being downloaded. Progress is reported per
+ * asset group, in the order in which the groups are downloaded, whenever another percent of the
+ * group has been processed and once the whole group is done.
+ *
+ * `bytesTotal` is `null` when the size of the group is not known in advance.
+ *
+ * @see {@link guide/service-worker-communications Service worker communication guide}
+ *
+ * @publicApi
+ */
+export declare interface VersionInstallationProgressEvent {
+    type: 'VERSION_INSTALLATION_PROGRESS';
+    version: {
+        hash: string;
+        appData?: object;
+    };
+    group: string;
+    filesLoaded: number;
+    filesTotal: number;
+    bytesLoaded: number;
+    bytesTotal: number | null;
+}
+
 /**
  * An event emitted when a new version of the app is available.
  *
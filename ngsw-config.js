@@ -5,14 +5,114 @@
     
 
 // bazel-out/k8-fastbuild-ST-2e5f3376adb5/bin/packages/service-worker/cli/main.mjs
-import { Generator } from "@angular/service-worker/config";
+import { Generator, lintConfig, validateConfig } from "@angular/service-worker/config";
 import * as fs2 from "fs";
 import * as path2 from "path";
 
+// bazel-out/k8-fastbuild-ST-2e5f3376adb5/bin/packages/service-worker/cli/signing.mjs
+import * as crypto from "crypto";
+
 // bazel-out/k8-fastbuild-ST-2e5f3376adb5/bin/packages/service-worker/cli/filesystem.mjs
+import * as crypto2 from "crypto";
 import * as fs from "fs";
 import * as path from "path";
 
+// bazel-out/k8-fastbuild-ST-2e5f3376adb5/bin/packages/service-worker/cli/args.mjs
+var USAGE = `Usage: ngsw-config [command] [options]
+       ngsw-config [command] <dist> <config> [base-href]
+
+Commands:
+  generate              Generate the ngsw.json manifest (default)
+  lint                  Warn about likely mistakes in the configuration
+  validate              Check the configuration against the schema
+
+Options:
+  --dist <dir>          Distribution directory of the app
+  --config <file>       Service worker configuration (default: ngsw-config.json)
+  --base-href <url>     Base href of the app (default: /)
+  --out <file>          Where to write the manifest (default: <dist>/ngsw.json)
+  --signing-key <file>  PEM EC P-256 private key to sign the manifest with
+                        (default: $NGSW_SIGNING_KEY)
+  --dry-run             Generate the manifest without writing it
+  --json                Print the manifest, warnings or problems as JSON
+  --quiet               Do not print a summary
+  -h, --help            Show this help
+
+Exits with 0 on success, 1 on failure and 2 on invalid usage.`;
+var COMMANDS = ["generate", "lint", "validate"];
+var VALUE_OPTIONS = ["dist", "config", "base-href", "out", "signing-key"];
+var FLAG_OPTIONS = ["dry-run", "json", "quiet", "help"];
+var UsageError = class extends Error {
+};
+function parseArgs(argv, isDirectory = () => true) {
+  const options = { command: "generate", dryRun: false, json: false, quiet: false, help: false };
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "-h") {
+      options.help = true;
+      continue;
+    }
+    if (!arg.startsWith("--")) {
+      positional.push(arg);
+      continue;
+    }
+    const eq = arg.indexOf("=");
+    const name = arg.slice(2, eq === -1 ? void 0 : eq);
+    if (FLAG_OPTIONS.includes(name)) {
+      if (eq !== -1) {
+        throw new UsageError(`Option '--${name}' does not take a value.`);
+      }
+      options[toCamelCase(name)] = true;
+    } else if (VALUE_OPTIONS.includes(name)) {
+      const value = eq !== -1 ? arg.slice(eq + 1) : argv[++i];
+      if (value === void 0 || value === "" || eq === -1 && value.startsWith("--")) {
+        throw new UsageError(`Option '--${name}' requires a value.`);
+      }
+      options[toCamelCase(name)] = value;
+    } else {
+      throw new UsageError(`Unknown option '${arg}'.`);
+    }
+  }
+  if (COMMANDS.includes(positional[0])) {
+    options.command = positional.shift();
+  } else if (positional.length > (options.dist === void 0 ? 1 : 0) && !isDirectory(positional[0])) {
+    throw new UsageError(`Unknown command '${positional[0]}'. Expected one of ${COMMANDS.map((command) => `'${command}'`).join(", ")}.`);
+  }
+  if (positional.length > 3) {
+    throw new UsageError(`Unexpected argument '${positional[3]}'.`);
+  }
+  const [dist, config, baseHref] = positional;
+  for (const [name, value] of [["dist", dist], ["config", config], ["baseHref", baseHref]]) {
+    if (value !== void 0 && options[name] !== void 0) {
+      throw new UsageError(`'${value}' conflicts with '--${toKebabCase(name)}'. Pass it only once.`);
+    }
+    if (value !== void 0) {
+      options[name] = value;
+    }
+  }
+  return options;
+}
+function toCamelCase(name) {
+  return name.replace(/-([a-z])/g, (_, char) => char.toUpperCase());
+}
+function toKebabCase(name) {
+  return name.replace(/[A-Z]/g, (char) => `-${char.toLowerCase()}`);
+}
+
+// bazel-out/k8-fastbuild-ST-2e5f3376adb5/bin/packages/service-worker/cli/signing.mjs
+function signManifest(manifest, privateKeyPem) {
+  const key = crypto.createPrivateKey(privateKeyPem);
+  if (key.asymmetricKeyType !== "ec" || key.asymmetricKeyDetails.namedCurve !== "prime256v1") {
+    throw new UsageError(`The signing key must be an EC private key on the P-256 (prime256v1) curve; the service worker cannot verify other signatures.`);
+  }
+  const signature = crypto.sign("sha256", Buffer.from(JSON.stringify(manifest)), {
+    key,
+    dsaEncoding: "ieee-p1363"
+  });
+  return { ...manifest, signature: signature.toString("base64") };
+}
+
 // bazel-out/k8-fastbuild-ST-2e5f3376adb5/bin/packages/service-worker/cli/sha1.mjs
 function sha1Binary(buffer) {
   const words32 = arrayBufferToWords32(buffer, Endian.Big);
@@ -131,10 +231,17 @@ var NodeFilesystem = class {
     const file = this.canonical(_path);
     return fs.readFileSync(file).toString();
   }
-  async hash(_path) {
+  async hash(_path, algorithm = "sha1") {
     const file = this.canonical(_path);
     const contents = fs.readFileSync(file);
-    return sha1Binary(contents);
+    if (algorithm === "sha1") {
+      return sha1Binary(contents);
+    }
+    return crypto2.createHash(algorithm).update(contents).digest("hex");
+  }
+  async size(_path) {
+    const file = this.canonical(_path);
+    return fs.statSync(file).size;
   }
   async write(_path, contents) {
     const file = this.canonical(_path);
@@ -145,18 +252,122 @@ var NodeFilesystem = class {
   }
 };
 
+// bazel-out/k8-fastbuild-ST-2e5f3376adb5/bin/packages/service-worker/cli/report.mjs
+function formatIssue(issue) {
+  const value = issue.value === void 0 ? "" : ` (got ${JSON.stringify(issue.value)})`;
+  return `  ${issue.path}: ${issue.message}${value}${formatSuggestion(issue)}`;
+}
+function formatWarning(warning) {
+  return `  ${warning.path}: ${warning.message}${formatSuggestion(warning)}`;
+}
+function formatSuggestion(problem) {
+  return problem.suggestion === void 0 ? "" : `
+    ${problem.suggestion}`;
+}
+function formatSummary(control, outFile) {
+  const files = Object.keys(control.hashTable).length;
+  const size = control.sizeTable === void 0 ? "" : `, ${formatBytes(Object.values(control.sizeTable).reduce((total, bytes) => total + bytes, 0))}`;
+  const target = outFile === null ? "not written (dry run)" : `written to '${outFile}'`;
+  return `Service worker manifest for ${files} file${files === 1 ? "" : "s"}${size} ${target}.`;
+}
+function formatBytes(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  return bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KiB` : `${(bytes / (1024 * 1024)).toFixed(1)} MiB`;
+}
+
 // bazel-out/k8-fastbuild-ST-2e5f3376adb5/bin/packages/service-worker/cli/main.mjs
 var cwd = process.cwd();
-var distDir = path2.join(cwd, process.argv[2]);
-var config = path2.join(cwd, process.argv[3]);
-var baseHref = process.argv[4] || "/";
-var configParsed = JSON.parse(fs2.readFileSync(config).toString());
-var filesystem = new NodeFilesystem(distDir);
-var gen = new Generator(filesystem, baseHref);
-(async () => {
-  const control = await gen.process(configParsed);
-  await filesystem.write("/ngsw.json", JSON.stringify(control, null, 2));
-})();
+async function main(argv) {
+  const options = parseArgs(argv, isDirectory);
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  const configFile = path2.resolve(cwd, options.config || "ngsw-config.json");
+  const config = readConfig(configFile);
+  const issues = validateConfig(config);
+  if (options.command === "validate" || issues.length > 0) {
+    if (options.json) {
+      console.log(JSON.stringify(issues, null, 2));
+    } else if (issues.length > 0) {
+      console.error(`Invalid service worker configuration '${configFile}':`);
+      issues.forEach((issue) => console.error(formatIssue(issue)));
+    } else if (!options.quiet) {
+      console.log(`Service worker configuration '${configFile}' is valid.`);
+    }
+    return issues.length > 0 ? 1 : 0;
+  }
+  if (options.dist === void 0) {
+    throw new UsageError(`Missing the distribution directory. Pass it with '--dist'.`);
+  }
+  const distDir = path2.resolve(cwd, options.dist);
+  if (!isDirectory(options.dist)) {
+    throw new Error(`Distribution directory '${distDir}' does not exist.`);
+  }
+  const filesystem = new NodeFilesystem(distDir);
+  const baseHref = options.baseHref || "/";
+  if (options.command === "lint") {
+    const warnings = await lintConfig(config, filesystem, baseHref);
+    if (options.json) {
+      console.log(JSON.stringify(warnings, null, 2));
+    } else {
+      warnings.forEach((warning) => console.warn(formatWarning(warning)));
+      if (!options.quiet) {
+        console.log(warnings.length === 0 ? "No problems found." : `${warnings.length} warning${warnings.length === 1 ? "" : "s"}.`);
+      }
+    }
+    return 0;
+  }
+  let control = await new Generator(filesystem, baseHref).process(config);
+  const signingKey = options.signingKey || process.env["NGSW_SIGNING_KEY"];
+  if (signingKey) {
+    control = signManifest(control, readFile(path2.resolve(cwd, signingKey), "signing key"));
+  }
+  const manifest = JSON.stringify(control, null, 2);
+  const outFile = options.out === void 0 ? path2.join(distDir, "ngsw.json") : path2.resolve(cwd, options.out);
+  if (!options.dryRun) {
+    fs2.writeFileSync(outFile, manifest);
+  }
+  if (options.json) {
+    console.log(manifest);
+  } else if (!options.quiet) {
+    console.log(formatSummary(control, options.dryRun ? null : outFile));
+  }
+  return 0;
+}
+function readFile(file, description) {
+  try {
+    return fs2.readFileSync(file);
+  } catch (err) {
+    throw new Error(`Cannot read ${description} '${file}': ${err.message}`);
+  }
+}
+function isDirectory(dir) {
+  const resolved = path2.resolve(cwd, dir);
+  return fs2.existsSync(resolved) && fs2.statSync(resolved).isDirectory();
+}
+function readConfig(configFile) {
+  const contents = readFile(configFile, "service worker configuration").toString();
+  try {
+    return JSON.parse(contents);
+  } catch (err) {
+    throw new Error(`Service worker configuration '${configFile}' is not valid JSON: ${err.message}`);
+  }
+}
+main(process.argv.slice(2)).then((exitCode) => {
+  process.exitCode = exitCode;
+}, (err) => {
+  if (err instanceof UsageError) {
+    console.error(`ngsw-config: ${err.message}
+Run 'ngsw-config --help' for usage.`);
+    process.exitCode = 2;
+  } else {
+    console.error(`ngsw-config: ${err instanceof Error ? err.message : err}`);
+    process.exitCode = 1;
+  }
+});
 /**
  * @license
  * Copyright Google LLC All Rights Reserved.
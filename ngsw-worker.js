@@ -77,11 +77,20 @@
       const parsed = !relativeTo ? new URL(url) : new URL(url, relativeTo);
       return { origin: parsed.origin, path: parsed.pathname, search: parsed.search };
     }
-    timeout(ms) {
+    timeout(ms, signal) {
       return new Promise((resolve) => {
-        setTimeout(() => resolve(), ms);
+        const id = setTimeout(() => resolve(), ms);
+        if (signal !== void 0) {
+          signal.addEventListener("abort", () => clearTimeout(id));
+        }
       });
     }
+    async storageEstimate() {
+      if (typeof navigator === "undefined" || !navigator.storage || !navigator.storage.estimate) {
+        return null;
+      }
+      return navigator.storage.estimate();
+    }
   };
 
   // bazel-out/k8-fastbuild-ST-2e5f3376adb5/bin/packages/service-worker/worker/src/database.mjs
@@ -295,16 +304,56 @@ ${error.stack}`;
     return hex.toLowerCase();
   }
 
+  // bazel-out/k8-fastbuild-ST-2e5f3376adb5/bin/packages/service-worker/worker/src/hash.mjs
+  var SUBTLE_DIGEST_ALGORITHMS = {
+    sha256: "SHA-256",
+    sha384: "SHA-384"
+  };
+  async function hashContent(buffer, algorithm = "sha1") {
+    if (algorithm === "sha1") {
+      return sha1Binary(buffer);
+    }
+    if (!SUBTLE_DIGEST_ALGORITHMS.hasOwnProperty(algorithm)) {
+      throw new Error(`Unsupported hash algorithm: ${algorithm}`);
+    }
+    const digest = new Uint8Array(await crypto.subtle.digest(SUBTLE_DIGEST_ALGORITHMS[algorithm], buffer));
+    return Array.from(digest, (b) => b.toString(16).padStart(2, "0")).join("");
+  }
+
   // bazel-out/k8-fastbuild-ST-2e5f3376adb5/bin/packages/service-worker/worker/src/assets.mjs
+  var DEFAULT_ASSET_RETRY_DELAY = 1e3;
+  function isTransientFailure(res) {
+    return res.status === 408 || res.status === 429 || res.status >= 500;
+  }
+  async function runWithConcurrency(items, concurrency, fn) {
+    let next = 0;
+    let failed = false;
+    const worker = async () => {
+      while (!failed && next < items.length) {
+        const item = items[next++];
+        try {
+          await fn(item);
+        } catch (err) {
+          failed = true;
+          throw err;
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, () => worker()));
+  }
   var AssetGroup = class {
-    constructor(scope2, adapter2, idle, config, hashes, db, cacheNamePrefix) {
+    constructor(scope2, adapter2, idle, config, hashes, db, cacheNamePrefix, sizes = /* @__PURE__ */ new Map(), hashAlgorithm = "sha1") {
       this.scope = scope2;
       this.adapter = adapter2;
       this.idle = idle;
       this.config = config;
       this.hashes = hashes;
       this.db = db;
+      this.sizes = sizes;
+      this.hashAlgorithm = hashAlgorithm;
       this.inFlightRequests = /* @__PURE__ */ new Map();
+      this.revalidatedResponses = /* @__PURE__ */ new WeakSet();
+      this.networkRequests = /* @__PURE__ */ new WeakMap();
       this.urls = [];
       this.patterns = [];
       this.name = config.name;
@@ -337,7 +386,8 @@ ${error.stack}`;
       ]);
       return [cache.name, metadata.cacheName];
     }
-    async handleFetch(req, _event) {
+    async handleFetch(originalReq, _event) {
+      const req = this.cacheKeyRequest(originalReq);
       const url = this.adapter.normalizeUrl(req.url);
       if (this.urls.indexOf(url) !== -1 || this.patterns.some((pattern) => pattern.test(url))) {
         const cache = await this.cache;
@@ -354,12 +404,21 @@ ${error.stack}`;
             return cachedResponse;
           }
         }
-        const res = await this.fetchAndCacheOnce(this.newRequestWithMetadata(req.url, req));
+        const res = await this.fetchAndCacheOnce(req !== originalReq ? req : this.newRequestWithMetadata(req.url, req));
         return res.clone();
       } else {
         return null;
       }
     }
+    cacheKeyRequest(req) {
+      const url = normalizeQueryParams(req.url, this.config.urlNormalization);
+      if (url === req.url) {
+        return req;
+      }
+      const keyReq = this.newRequestWithMetadata(url, req);
+      this.networkRequests.set(keyReq, req);
+      return keyReq;
+    }
     async needToRevalidate(req, res) {
       if (res.headers.has("Cache-Control")) {
         const cacheControl = res.headers.get("Cache-Control");
@@ -414,6 +473,30 @@ ${error.stack}`;
       }
       return { response, metadata };
     }
+    trackProgress(onProgress) {
+      const sizesKnown = this.urls.every((url) => this.sizes.has(url));
+      const progress = {
+        group: this.name,
+        filesLoaded: 0,
+        filesTotal: this.urls.length,
+        bytesLoaded: 0,
+        bytesTotal: sizesKnown ? this.urls.reduce((total, url) => total + this.sizes.get(url), 0) : null
+      };
+      let reportedPercent = -1;
+      return async (url, res) => {
+        if (sizesKnown) {
+          progress.bytesLoaded += this.sizes.get(url);
+        } else if (res !== void 0) {
+          progress.bytesLoaded += await responseSize(res);
+        }
+        progress.filesLoaded++;
+        const percent = Math.floor(100 * (progress.bytesTotal ? progress.bytesLoaded / progress.bytesTotal : progress.filesLoaded / progress.filesTotal));
+        if (percent > reportedPercent || progress.filesLoaded === progress.filesTotal) {
+          reportedPercent = percent;
+          onProgress(__spreadValues({}, progress));
+        }
+      };
+    }
     async unhashedResources() {
       const cache = await this.cache;
       return (await cache.keys()).map((request) => this.adapter.normalizeUrl(request.url)).filter((url) => !this.hashes.has(url));
@@ -422,7 +505,7 @@ ${error.stack}`;
       if (this.inFlightRequests.has(req.url)) {
         return this.inFlightRequests.get(req.url);
       }
-      const fetchOp = this.fetchFromNetwork(req);
+      const fetchOp = this.fetchFromNetworkWithValidators(req);
       this.inFlightRequests.set(req.url, fetchOp);
       try {
         const res = await fetchOp;
@@ -430,10 +513,16 @@ ${error.stack}`;
           throw new Error(`Response not Ok (fetchAndCacheOnce): request for ${req.url} returned response ${res.status} ${res.statusText}`);
         }
         try {
+          if (this.revalidatedResponses.has(res)) {
+            const metaTable = await this.metadata;
+            const meta = await metaTable.read(req.url);
+            await metaTable.write(req.url, __spreadProps(__spreadValues({}, meta), { ts: this.adapter.time, used: meta.used || used }));
+            return res;
+          }
           const cache = await this.cache;
           await cache.put(req, res.clone());
           if (!this.hashes.has(this.adapter.normalizeUrl(req.url))) {
-            const meta = { ts: this.adapter.time, used };
+            const meta = __spreadValues({ ts: this.adapter.time, used }, responseValidators(res));
             const metaTable = await this.metadata;
             await metaTable.write(req.url, meta);
           }
@@ -445,6 +534,25 @@ ${error.stack}`;
         this.inFlightRequests.delete(req.url);
       }
     }
+    async fetchFromNetworkWithValidators(req) {
+      const url = this.adapter.normalizeUrl(req.url);
+      if (this.hashes.has(url) || !canRevalidate(this.adapter, req)) {
+        return this.fetchFromNetwork(req);
+      }
+      const cached = await this.fetchFromCacheOnly(req.url);
+      if (cached === null || cached.metadata === void 0 || !hasValidators(cached.metadata)) {
+        return this.fetchFromNetwork(req);
+      }
+      const networkReq = this.networkRequests.get(req) || req;
+      const res = await this.fetchFromNetwork(this.adapter.newRequest(networkReq, {
+        headers: conditionalHeaders(this.adapter, networkReq.headers, cached.metadata)
+      }));
+      if (res.status !== 304) {
+        return res;
+      }
+      this.revalidatedResponses.add(cached.response);
+      return cached.response;
+    }
     async fetchFromNetwork(req, redirectLimit = 3) {
       const res = await this.cacheBustedFetchFromNetwork(req);
       if (res["redirected"] && !!res.url) {
@@ -462,14 +570,14 @@ ${error.stack}`;
         let response = await this.safeFetch(req);
         let makeCacheBustedRequest = response.ok;
         if (makeCacheBustedRequest) {
-          const fetchedHash = sha1Binary(await response.clone().arrayBuffer());
+          const fetchedHash = await hashContent(await response.clone().arrayBuffer(), this.hashAlgorithm);
           makeCacheBustedRequest = fetchedHash !== canonicalHash;
         }
         if (makeCacheBustedRequest) {
           const cacheBustReq = this.newRequestWithMetadata(this.cacheBust(req.url), req);
           response = await this.safeFetch(cacheBustReq);
           if (response.ok) {
-            const cacheBustedHash = sha1Binary(await response.clone().arrayBuffer());
+            const cacheBustedHash = await hashContent(await response.clone().arrayBuffer(), this.hashAlgorithm);
             if (canonicalHash !== cacheBustedHash) {
               throw new SwCriticalError(`Hash mismatch (cacheBustedFetchFromNetwork): ${req.url}: expected ${canonicalHash}, got ${cacheBustedHash} (after cache busting)`);
             }
@@ -502,31 +610,58 @@ ${error.stack}`;
       return url + (url.indexOf("?") === -1 ? "?" : "&") + "ngsw-cache-bust=" + Math.random();
     }
     async safeFetch(req) {
+      const fetchConfig = this.config.fetchConfig || {};
+      const networkReq = this.networkRequests.get(req) || req;
+      for (let attempt = 0; ; attempt++) {
+        const res = await this.fetchWithTimeout(networkReq, fetchConfig.timeoutMs);
+        if (attempt >= (fetchConfig.maxRetries || 0) || !isTransientFailure(res)) {
+          return res;
+        }
+        await this.adapter.timeout((fetchConfig.retryDelayMs !== void 0 ? fetchConfig.retryDelayMs : DEFAULT_ASSET_RETRY_DELAY) * Math.pow(2, attempt));
+      }
+    }
+    async fetchWithTimeout(req, timeoutMs) {
+      const gatewayTimeout = () => this.adapter.newResponse("", {
+        status: 504,
+        statusText: "Gateway Timeout"
+      });
       try {
-        return await this.scope.fetch(req);
-      } catch (e) {
-        return this.adapter.newResponse("", {
-          status: 504,
-          statusText: "Gateway Timeout"
+        if (timeoutMs === void 0) {
+          return await this.scope.fetch(req);
+        }
+        const controller = new AbortController();
+        const timer = new AbortController();
+        const networkFetch = this.scope.fetch(req, { signal: controller.signal });
+        const timeout = this.adapter.timeout(timeoutMs, timer.signal).then(() => {
+          controller.abort();
+          return gatewayTimeout();
         });
+        try {
+          return await Promise.race([networkFetch, timeout]);
+        } finally {
+          timer.abort();
+        }
+      } catch (e) {
+        return gatewayTimeout();
       }
     }
   };
   var PrefetchAssetGroup = class extends AssetGroup {
-    async initializeFully(updateFrom) {
+    async initializeFully(updateFrom, concurrency = 1, onProgress = () => {
+    }) {
       const cache = await this.cache;
-      await this.urls.reduce(async (previous, url) => {
-        await previous;
+      const fileLoaded = this.trackProgress(onProgress);
+      await runWithConcurrency(this.urls, concurrency, async (url) => {
         const req = this.adapter.newRequest(url);
         const alreadyCached = await cache.match(req, this.config.cacheQueryOptions) !== void 0;
         if (alreadyCached) {
-          return;
+          return fileLoaded(url);
         }
         if (updateFrom !== void 0 && await this.maybeUpdate(updateFrom, req, cache)) {
-          return;
+          return fileLoaded(url);
         }
-        await this.fetchAndCacheOnce(req, false);
-      }, Promise.resolve());
+        await fileLoaded(url, await this.fetchAndCacheOnce(req, false));
+      });
       if (updateFrom !== void 0) {
         const metaTable = await this.metadata;
         await (await updateFrom.previouslyCachedResources()).filter((url) => this.urls.indexOf(url) !== -1 || this.patterns.some((pattern) => pattern.test(url))).reduce(async (previous, url) => {
@@ -547,31 +682,40 @@ ${error.stack}`;
     }
   };
   var LazyAssetGroup = class extends AssetGroup {
-    async initializeFully(updateFrom) {
+    async initializeFully(updateFrom, concurrency = 1, onProgress = () => {
+    }) {
       if (updateFrom === void 0) {
         return;
       }
       const cache = await this.cache;
-      await this.urls.reduce(async (previous, url) => {
-        await previous;
+      const fileLoaded = this.trackProgress(onProgress);
+      await runWithConcurrency(this.urls, concurrency, async (url) => {
         const req = this.adapter.newRequest(url);
         const alreadyCached = await cache.match(req, this.config.cacheQueryOptions) !== void 0;
         if (alreadyCached) {
-          return;
+          return fileLoaded(url);
         }
         const updated = await this.maybeUpdate(updateFrom, req, cache);
         if (this.config.updateMode === "prefetch" && !updated) {
           const cacheStatus = await updateFrom.recentCacheStatus(url);
           if (cacheStatus !== UpdateCacheStatus.CACHED) {
-            return;
+            return fileLoaded(url);
           }
-          await this.fetchAndCacheOnce(req, false);
+          return fileLoaded(url, await this.fetchAndCacheOnce(req, false));
         }
-      }, Promise.resolve());
+        await fileLoaded(url);
+      });
     }
   };
 
   // bazel-out/k8-fastbuild-ST-2e5f3376adb5/bin/packages/service-worker/worker/src/data.mjs
+  var MUTATION_QUEUE_SYNC_TAG = "ngsw-mutation-queue";
+  var CREDENTIAL_HEADERS = ["authorization", "cookie", "proxy-authorization"];
+  var queueLocks = /* @__PURE__ */ new Map();
+  var queueReplays = /* @__PURE__ */ new Map();
+  var CACHE_KEY_PARAM = "ngsw-key";
+  var GRAPHQL_TOKEN = /"""(?:\\"""|[\s\S])*?"""|"(?:\\.|[^"\\\n])*"|#[^\n\r]*|[_A-Za-z][_0-9A-Za-z]*|[^\s,]/g;
+  var REFRESH_AHEAD_JITTER = 0.1;
   var LruList = class {
     constructor(state) {
       if (state === void 0) {
@@ -587,6 +731,9 @@ ${error.stack}`;
     get size() {
       return this.state.count;
     }
+    get bytes() {
+      return this.state.bytes || 0;
+    }
     pop() {
       if (this.state.tail === null) {
         return null;
@@ -606,6 +753,7 @@ ${error.stack}`;
           this.state.tail = null;
           this.state.map = {};
           this.state.count = 0;
+          this.state.bytes = 0;
           return true;
         }
         const next = this.state.map[node.next];
@@ -614,6 +762,7 @@ ${error.stack}`;
         node.next = null;
         delete this.state.map[url];
         this.state.count--;
+        this.state.bytes = this.bytes - (node.bytes || 0);
         return true;
       }
       const previous = this.state.map[node.previous];
@@ -627,6 +776,7 @@ ${error.stack}`;
       node.previous = null;
       delete this.state.map[url];
       this.state.count--;
+      this.state.bytes = this.bytes - (node.bytes || 0);
       return true;
     }
     accessed(url) {
@@ -647,20 +797,39 @@ ${error.stack}`;
       }
       this.state.map[url] = node;
       this.state.count++;
+      this.state.bytes = this.bytes + (node.bytes || 0);
+    }
+    setBytes(url, bytes) {
+      const node = this.state.map[url];
+      if (node === void 0) {
+        return;
+      }
+      this.state.bytes = this.bytes - (node.bytes || 0) + bytes;
+      node.bytes = bytes;
     }
   };
   var DataGroup = class {
-    constructor(scope2, adapter2, config, db, debugHandler, cacheNamePrefix) {
+    constructor(scope2, adapter2, config, db, debugHandler, cacheNamePrefix, enforceStorageQuota = () => Promise.resolve(), invalidate = () => Promise.resolve()) {
       this.scope = scope2;
       this.adapter = adapter2;
       this.config = config;
       this.db = db;
       this.debugHandler = debugHandler;
+      this.enforceStorageQuota = enforceStorageQuota;
+      this.invalidate = invalidate;
       this._lru = null;
       this.patterns = config.patterns.map((pattern) => new RegExp(pattern));
+      this.invalidationRules = (config.invalidationRules || []).map((rule) => __spreadProps(__spreadValues({}, rule), { pattern: new RegExp(rule.pattern) }));
       this.cache = adapter2.caches.open(`${cacheNamePrefix}:${config.name}:cache`);
       this.lruTable = this.db.open(`${cacheNamePrefix}:${config.name}:lru`, config.cacheQueryOptions);
       this.ageTable = this.db.open(`${cacheNamePrefix}:${config.name}:age`, config.cacheQueryOptions);
+      this.queueName = `data:${config.name}:queue`;
+      this.queueTable = config.offlineQueue !== void 0 ? this.db.open(this.queueName, config.cacheQueryOptions) : null;
+      this.networkReachable = false;
+      this.revalidatedResponses = /* @__PURE__ */ new WeakSet();
+      this.networkRequests = /* @__PURE__ */ new WeakMap();
+      this.postCachedRequests = /* @__PURE__ */ new WeakSet();
+      this.inFlightRequests = /* @__PURE__ */ new Map();
     }
     async lru() {
       if (this._lru === null) {
@@ -694,23 +863,268 @@ ${error.stack}`;
           return null;
         case "GET":
         case "HEAD":
-          switch (this.config.strategy) {
-            case "freshness":
-              return this.handleFetchWithFreshness(req, event, lru);
-            case "performance":
-              return this.handleFetchWithPerformance(req, event, lru);
-            default:
-              throw new Error(`Unknown strategy: ${this.config.strategy}`);
+          const keyReq = await this.cacheKeyRequest(req);
+          const res = keyReq === null ? await this.safeFetch(req) : await this.handleFetchWithStrategy(keyReq, event, lru);
+          if (this.queueTable !== null && this.networkReachable) {
+            this.networkReachable = false;
+            event.waitUntil(this.replayQueue());
           }
-        default:
-          const wasCached = lru.remove(req.url);
-          if (wasCached) {
-            await this.clearCacheForUrl(req.url);
+          return res;
+        case "POST":
+          if (this.config.postCaching !== void 0) {
+            const postKeyReq = await this.cacheKeyRequest(req);
+            if (postKeyReq !== null) {
+              return this.handleFetchWithStrategy(postKeyReq, event, lru);
+            }
           }
+        default:
+          const normalizedUrl = normalizeQueryParams(req.url, this.config.urlNormalization);
+          const cachedUrls = Object.keys(lru.state.map).filter((url) => stripCacheKey(url) === normalizedUrl);
+          cachedUrls.forEach((url) => lru.remove(url));
+          await Promise.all(cachedUrls.map((url) => this.clearCacheForUrl(url)));
           await this.syncLru();
+          if (this.queueTable !== null) {
+            return this.handleFetchWithQueue(req, event);
+          }
           return this.safeFetch(req);
       }
     }
+    handleFetchWithStrategy(req, event, lru) {
+      switch (this.config.strategy) {
+        case "freshness":
+          return this.handleFetchWithFreshness(req, event, lru);
+        case "performance":
+          return this.handleFetchWithPerformance(req, event, lru);
+        case "staleWhileRevalidate":
+          return this.handleFetchWithStaleWhileRevalidate(req, event, lru);
+        default:
+          throw new Error(`Unknown strategy: ${this.config.strategy}`);
+      }
+    }
+    async cacheKeyRequest(req) {
+      const key = {};
+      if (req.method === "POST") {
+        let body;
+        try {
+          body = JSON.parse(await req.clone().text());
+        } catch (e) {
+          return null;
+        }
+        if (body === null || typeof body !== "object" || Array.isArray(body) || isGraphQLRequest(body) && graphQLOperationType(body) !== "query") {
+          return null;
+        }
+        key.body = this.config.postCaching.keyFields.reduce((fields, field) => {
+          fields[field] = body[field];
+          return fields;
+        }, {});
+      }
+      if (this.config.varyHeaders !== void 0) {
+        key.headers = this.config.varyHeaders.reduce((headers, header) => {
+          headers[header] = req.headers.get(header);
+          return headers;
+        }, {});
+      }
+      if (this.config.partitionBy !== void 0) {
+        const identity = await this.partitionIdentity(req);
+        if (identity === null) {
+          return null;
+        }
+        key.partition = identity;
+      }
+      const url = normalizeQueryParams(req.url, this.config.urlNormalization);
+      if (Object.keys(key).length === 0 && url === req.url) {
+        return req;
+      }
+      const keyUrl = Object.keys(key).length === 0 ? url : `${url}${url.indexOf("?") === -1 ? "?" : "&"}${CACHE_KEY_PARAM}=${sha1(stableStringify(key))}`;
+      const keyReq = this.adapter.newRequest(keyUrl, { method: req.method === "HEAD" ? "HEAD" : "GET" });
+      this.networkRequests.set(keyReq, req);
+      if (req.method === "POST") {
+        this.postCachedRequests.add(req);
+      }
+      return keyReq;
+    }
+    async prefetch(req) {
+      var _a;
+      if (!this.patterns.some((pattern) => pattern.test(req.url))) {
+        return false;
+      }
+      const keyReq = await this.cacheKeyRequest(req);
+      if (keyReq === null) {
+        return false;
+      }
+      const lru = await this.lru();
+      const okToCacheOpaque = (_a = this.config.cacheOpaqueResponses) != null ? _a : this.config.strategy === "freshness";
+      const res = await this.safeFetch(keyReq);
+      return await this.safeCacheResponse(keyReq, res, lru, okToCacheOpaque) || this.revalidatedResponses.has(res);
+    }
+    async partitionIdentity(req) {
+      const { header, cookie } = this.config.partitionBy;
+      if (header !== void 0) {
+        return req.headers.get(header);
+      }
+      if (this.scope.cookieStore === void 0) {
+        return readCookie(req.headers.get("Cookie"), cookie);
+      }
+      try {
+        const value = await this.scope.cookieStore.get(cookie);
+        return value ? value.value : null;
+      } catch (e) {
+        return null;
+      }
+    }
+    async resetPartitions() {
+      if (this.config.partitionBy === void 0) {
+        return;
+      }
+      await this.clear();
+    }
+    async cacheInfo() {
+      const lru = await this.lru();
+      return { name: this.config.name, entries: lru.size, bytes: lru.bytes };
+    }
+    async deleteUrl(url) {
+      const normalizedUrl = normalizeQueryParams(url, this.config.urlNormalization);
+      const lru = await this.lru();
+      const urls = Object.keys(lru.state.map).filter((cachedUrl) => stripCacheKey(cachedUrl) === normalizedUrl);
+      await this.evict(urls);
+      return urls.length > 0;
+    }
+    async clear() {
+      const lru = await this.lru();
+      await this.evict(Object.keys(lru.state.map));
+    }
+    async handleFetchWithQueue(req, event) {
+      const copy = req.clone();
+      let entry = await this.enqueue(copy, true);
+      if (entry === null) {
+        try {
+          return await this.scope.fetch(req);
+        } catch (e) {
+          entry = await this.enqueue(copy, false);
+        }
+      } else {
+        event.waitUntil(this.replayQueue());
+      }
+      event.waitUntil(this.registerQueueSync());
+      await this.broadcast(this.queueMessage("MUTATION_QUEUED", entry));
+      return this.adapter.newResponse(null, {
+        status: 202,
+        statusText: "Accepted",
+        headers: this.adapter.newHeaders({ "ngsw-mutation-queued": entry.id })
+      });
+    }
+    enqueue(req, onlyBehindOthers) {
+      return this.withQueueLock(async () => {
+        const queue = await this.readQueue();
+        if (onlyBehindOthers && queue.length === 0) {
+          return null;
+        }
+        const entry = await serializeRequest(req, `${this.adapter.time}-${Math.random().toString(36).slice(2)}`, this.adapter.time, this.config.offlineQueue.storeHeaders);
+        queue.push(entry);
+        await this.writeQueue(queue);
+        return entry;
+      });
+    }
+    replayQueue() {
+      if (this.queueTable === null) {
+        return Promise.resolve(0);
+      }
+      let replay = queueReplays.get(this.queueName);
+      if (replay === void 0) {
+        replay = this.replayQueueEntries();
+        queueReplays.set(this.queueName, replay);
+        const done = () => queueReplays.delete(this.queueName);
+        replay.then(done, done);
+      }
+      return replay;
+    }
+    async replayQueueEntries() {
+      while (true) {
+        const queue = await this.withQueueLock(() => this.readQueue());
+        if (queue.length === 0) {
+          return 0;
+        }
+        const entry = queue[0];
+        if (this.config.offlineQueue.maxAge && this.adapter.time - entry.time > this.config.offlineQueue.maxAge) {
+          await this.dequeue(entry);
+          await this.broadcast(__spreadProps(__spreadValues({}, this.queueMessage("MUTATION_FAILED", entry)), { error: "Expired before it could be replayed" }));
+          continue;
+        }
+        const replayReq = deserializeRequest(this.adapter, entry);
+        let res;
+        try {
+          res = await this.scope.fetch(replayReq);
+        } catch (e) {
+          return queue.length;
+        }
+        if (res.status === 401 || res.status === 403) {
+          await this.broadcast(__spreadProps(__spreadValues({}, this.queueMessage("MUTATION_AUTH_REQUIRED", entry)), { status: res.status }));
+          return queue.length;
+        }
+        await this.dequeue(entry);
+        const lru = await this.lru();
+        if (lru.remove(entry.url)) {
+          await this.clearCacheForUrl(entry.url);
+          await this.syncLru();
+        }
+        if (res.ok) {
+          await this.invalidate(replayReq);
+        }
+        await this.broadcast(__spreadProps(__spreadValues({}, this.queueMessage(res.ok ? "MUTATION_REPLAYED" : "MUTATION_FAILED", entry)), { status: res.status }));
+      }
+    }
+    async discardQueue(deletedCaches) {
+      if (this.queueTable === null || !deletedCaches.includes((await this.queueTable).cacheName)) {
+        return;
+      }
+      const queue = await this.withQueueLock(() => this.readQueue());
+      await Promise.all(queue.map((entry) => this.broadcast(__spreadProps(__spreadValues({}, this.queueMessage("MUTATION_FAILED", entry)), { error: "Discarded because the data group no longer queues requests" }))));
+    }
+    dequeue(entry) {
+      return this.withQueueLock(async () => {
+        const queue = await this.readQueue();
+        await this.writeQueue(queue.filter((queued) => queued.id !== entry.id));
+      });
+    }
+    withQueueLock(fn) {
+      const result = (queueLocks.get(this.queueName) || Promise.resolve()).then(fn);
+      queueLocks.set(this.queueName, result.catch(() => void 0));
+      return result;
+    }
+    async readQueue() {
+      const table = await this.queueTable;
+      try {
+        return await table.read("queue");
+      } catch (e) {
+        return [];
+      }
+    }
+    async writeQueue(queue) {
+      const table = await this.queueTable;
+      await table.write("queue", queue);
+    }
+    async registerQueueSync() {
+      try {
+        if (this.scope.registration.sync !== void 0) {
+          await this.scope.registration.sync.register(MUTATION_QUEUE_SYNC_TAG);
+        }
+      } catch (err) {
+        this.debugHandler.log(err, `DataGroup(${this.config.name}@${this.config.version}).registerQueueSync()`);
+      }
+    }
+    queueMessage(type, entry) {
+      return {
+        type,
+        group: this.config.name,
+        request: { id: entry.id, method: entry.method, url: entry.url }
+      };
+    }
+    async broadcast(msg) {
+      const clients = await this.scope.clients.matchAll();
+      clients.forEach((client) => {
+        client.postMessage(msg);
+      });
+    }
     async handleFetchWithPerformance(req, event, lru) {
       var _a;
       const okToCacheOpaque = (_a = this.config.cacheOpaqueResponses) != null ? _a : false;
@@ -718,27 +1132,53 @@ ${error.stack}`;
       const fromCache = await this.loadFromCache(req, lru);
       if (fromCache !== null) {
         res = fromCache.res;
-        if (this.config.refreshAheadMs !== void 0 && fromCache.age >= this.config.refreshAheadMs) {
-          event.waitUntil(this.safeCacheResponse(req, this.safeFetch(req), lru, okToCacheOpaque));
+        if (this.config.refreshAheadMs !== void 0 && fromCache.age >= this.config.refreshAheadMs * (1 - REFRESH_AHEAD_JITTER * Math.random())) {
+          event.waitUntil(this.refreshInBackground(req, lru, okToCacheOpaque));
         }
       }
       if (res !== null) {
         return res;
       }
-      const [timeoutFetch, networkFetch] = this.networkFetchWithTimeout(req);
+      const [timeoutFetch, networkFetch, abortFetch] = this.networkFetchWithTimeout(req);
       res = await timeoutFetch;
       if (res === void 0) {
-        res = this.adapter.newResponse(null, { status: 504, statusText: "Gateway Timeout" });
-        event.waitUntil(this.safeCacheResponse(req, networkFetch, lru, okToCacheOpaque));
-      } else {
-        await this.safeCacheResponse(req, res, lru, okToCacheOpaque);
+        const timedOut = this.adapter.newResponse(null, { status: 504, statusText: "Gateway Timeout" });
+        event.waitUntil(this.cacheInBackground(req, networkFetch, lru, okToCacheOpaque));
+        res = await this.staleIfError(req, timedOut, lru);
+        if (res !== timedOut) {
+          abortFetch();
+        }
+        return res;
       }
-      return res;
+      await this.safeCacheResponse(req, res, lru, okToCacheOpaque);
+      return this.staleIfError(req, res, lru);
+    }
+    async handleFetchWithStaleWhileRevalidate(req, event, lru) {
+      var _a;
+      const okToCacheOpaque = (_a = this.config.cacheOpaqueResponses) != null ? _a : false;
+      const fromCache = await this.loadFromCache(req, lru);
+      if (fromCache !== null) {
+        event.waitUntil(this.refreshInBackground(req, lru, okToCacheOpaque));
+        return fromCache.res;
+      }
+      const [timeoutFetch, networkFetch, abortFetch] = this.networkFetchWithTimeout(req);
+      let res = await timeoutFetch;
+      if (res === void 0) {
+        const timedOut = this.adapter.newResponse(null, { status: 504, statusText: "Gateway Timeout" });
+        event.waitUntil(this.cacheInBackground(req, networkFetch, lru, okToCacheOpaque));
+        res = await this.staleIfError(req, timedOut, lru);
+        if (res !== timedOut) {
+          abortFetch();
+        }
+        return res;
+      }
+      await this.safeCacheResponse(req, res, lru, okToCacheOpaque);
+      return this.staleIfError(req, res, lru);
     }
     async handleFetchWithFreshness(req, event, lru) {
       var _a;
       const okToCacheOpaque = (_a = this.config.cacheOpaqueResponses) != null ? _a : true;
-      const [timeoutFetch, networkFetch] = this.networkFetchWithTimeout(req);
+      const [timeoutFetch, networkFetch, abortFetch] = this.networkFetchWithTimeout(req);
       let res;
       try {
         res = await timeoutFetch;
@@ -746,20 +1186,33 @@ ${error.stack}`;
         res = void 0;
       }
       if (res === void 0) {
-        event.waitUntil(this.safeCacheResponse(req, networkFetch, lru, okToCacheOpaque));
-        const fromCache = await this.loadFromCache(req, lru);
+        const fromCache = await this.loadFromCache(req, lru, true);
+        if (fromCache !== null) {
+          event.waitUntil(this.cacheInBackground(req, networkFetch, lru, okToCacheOpaque));
+          abortFetch();
+        } else {
+          event.waitUntil(this.safeCacheResponse(req, networkFetch.then((res2) => res2.clone()), lru, okToCacheOpaque));
+        }
         res = fromCache !== null ? fromCache.res : null;
       } else {
         await this.safeCacheResponse(req, res, lru, okToCacheOpaque);
+        return this.staleIfError(req, res, lru);
       }
       if (res !== null) {
         return res;
       }
       return networkFetch;
     }
+    async staleIfError(req, res, lru) {
+      if (res.status !== 504 || this.config.staleIfErrorMs === void 0) {
+        return res;
+      }
+      const fromCache = await this.loadFromCache(req, lru, true);
+      return fromCache !== null ? fromCache.res : res;
+    }
     networkFetchWithTimeout(req) {
       if (this.config.timeoutMs !== void 0) {
-        const networkFetch = this.scope.fetch(req);
+        const { response: networkFetch, abort } = this.sharedFetch(req);
         const safeNetworkFetch = (async () => {
           try {
             return await networkFetch;
@@ -778,34 +1231,104 @@ ${error.stack}`;
           }
         })();
         const timeout = this.adapter.timeout(this.config.timeoutMs);
-        return [Promise.race([networkFetchUndefinedError, timeout]), safeNetworkFetch];
+        return [Promise.race([networkFetchUndefinedError, timeout]), safeNetworkFetch, abort];
       } else {
         const networkFetch = this.safeFetch(req);
-        return [networkFetch, networkFetch];
+        return [networkFetch, networkFetch, () => void 0];
+      }
+    }
+    sharedFetch(req, holdsRequest = true) {
+      const key = `${req.method} ${req.url}`;
+      const shareable = (req.method === "GET" || req.method === "HEAD") && (this.config.partitionBy === void 0 || this.networkRequests.has(req));
+      let inFlight = shareable ? this.inFlightRequests.get(key) : void 0;
+      const isFollower = inFlight !== void 0;
+      if (inFlight === void 0) {
+        const controller = this.config.abortOnTimeout ? new AbortController() : null;
+        inFlight = {
+          response: this.fetchWithValidators(req, controller !== null ? controller.signal : void 0),
+          controller,
+          waiting: 0
+        };
+        if (shareable) {
+          const entry = inFlight;
+          const done = () => {
+            if (this.inFlightRequests.get(key) === entry) {
+              this.inFlightRequests.delete(key);
+            }
+          };
+          this.inFlightRequests.set(key, entry);
+          entry.response.then(done, done);
+        }
+      }
+      const entry = inFlight;
+      if (holdsRequest) {
+        entry.waiting++;
       }
+      let aborted = !holdsRequest;
+      return {
+        response: isFollower ? entry.response.then((res) => {
+          const clone = res.clone();
+          this.revalidatedResponses.add(clone);
+          return clone;
+        }) : entry.response,
+        abort: () => {
+          if (aborted) {
+            return;
+          }
+          aborted = true;
+          if (--entry.waiting === 0 && entry.controller !== null) {
+            entry.controller.abort();
+          }
+        }
+      };
     }
     async safeCacheResponse(req, resOrPromise, lru, okToCacheOpaque) {
       try {
         const res = await resOrPromise;
         try {
-          await this.cacheResponse(req, res, lru, okToCacheOpaque);
+          return await this.cacheResponse(req, res, lru, okToCacheOpaque);
         } catch (err) {
           this.debugHandler.log(err, `DataGroup(${this.config.name}@${this.config.version}).safeCacheResponse(${req.url}, status: ${res.status})`);
         }
       } catch (e) {
       }
+      return false;
+    }
+    refreshInBackground(req, lru, okToCacheOpaque) {
+      return this.cacheInBackground(req, this.safeFetch(req), lru, okToCacheOpaque);
+    }
+    async cacheInBackground(req, resOrPromise, lru, okToCacheOpaque) {
+      if (await this.safeCacheResponse(req, resOrPromise, lru, okToCacheOpaque)) {
+        await this.broadcast({
+          type: "DATA_UPDATED",
+          group: this.config.name,
+          url: (this.networkRequests.get(req) || req).url
+        });
+      }
     }
-    async loadFromCache(req, lru) {
+    async loadFromCache(req, lru, allowStale = false) {
       const cache = await this.cache;
       let res = await cache.match(req, this.config.cacheQueryOptions);
       if (res !== void 0) {
         try {
           const ageTable = await this.ageTable;
-          const age = this.adapter.time - (await ageTable.read(req.url)).age;
-          if (age <= this.config.maxAge) {
+          const entry = await ageTable.read(req.url);
+          const age = this.adapter.time - entry.age;
+          const maxAge = entry.maxAge !== void 0 ? entry.maxAge : this.config.maxAge;
+          if (age <= maxAge) {
             lru.accessed(req.url);
             return { res, age };
           }
+          if (this.config.staleIfErrorMs !== void 0 && age <= maxAge + this.config.staleIfErrorMs) {
+            if (!allowStale) {
+              return null;
+            }
+            lru.accessed(req.url);
+            return { res: markStale(this.adapter, res), age };
+          }
+          if (hasValidators(entry)) {
+            return null;
+          }
         } catch (e) {
         }
         lru.remove(req.url);
@@ -816,34 +1339,102 @@ ${error.stack}`;
     }
     async cacheResponse(req, res, lru, okToCacheOpaque = false) {
       if (!(res.ok || okToCacheOpaque && res.type === "opaque")) {
-        return;
+        return false;
+      }
+      if (this.revalidatedResponses.has(res)) {
+        lru.accessed(req.url);
+        await this.syncLru();
+        return false;
       }
-      if (lru.size >= this.config.maxSize) {
+      let maxAge = void 0;
+      if (this.config.honorCacheControl && res.type !== "opaque") {
+        const directives = parseCacheControl(res, this.adapter.time);
+        if (!directives.cacheable) {
+          if (lru.remove(req.url)) {
+            await this.clearCacheForUrl(req.url);
+            await this.syncLru();
+          }
+          return false;
+        }
+        if (directives.maxAge !== null) {
+          maxAge = Math.min(directives.maxAge, this.config.maxAge);
+        }
+      }
+      const bytes = await responseSize(res);
+      if (this.config.maxResponseBytes !== void 0 && bytes > this.config.maxResponseBytes || this.config.maxBytes !== void 0 && bytes > this.config.maxBytes) {
+        return false;
+      }
+      lru.remove(req.url);
+      while (lru.size > 0 && (lru.size >= this.config.maxSize || this.config.maxBytes !== void 0 && lru.bytes + bytes > this.config.maxBytes)) {
         const evictedUrl = lru.pop();
         if (evictedUrl !== null) {
           await this.clearCacheForUrl(evictedUrl);
         }
       }
       lru.accessed(req.url);
+      lru.setBytes(req.url, bytes);
       await (await this.cache).put(req, res.clone());
       const ageTable = await this.ageTable;
-      await ageTable.write(req.url, { age: this.adapter.time });
+      await ageTable.write(req.url, __spreadValues({ age: this.adapter.time, maxAge }, responseValidators(res)));
+      await this.syncLru();
+      await this.enforceStorageQuota();
+      return true;
+    }
+    async evictLeastRecentlyUsed() {
+      const lru = await this.lru();
+      const url = lru.state.tail;
+      if (url === null) {
+        return null;
+      }
+      const bytes = lru.state.map[url].bytes || 0;
+      lru.pop();
+      await this.clearCacheForUrl(url);
+      await this.syncLru();
+      return bytes;
+    }
+    invalidationPatterns(req) {
+      if (this.postCachedRequests.has(req) || !this.patterns.some((pattern) => pattern.test(req.url))) {
+        return [];
+      }
+      const url = req.url.replace(/[?#].*$/, "");
+      return this.invalidationRules.filter((rule) => rule.methods.indexOf(req.method) !== -1).reduce((patterns, rule) => {
+        const match = rule.pattern.exec(url);
+        if (match === null) {
+          return patterns;
+        }
+        return patterns.concat(rule.invalidates.map((invalidate) => new RegExp(rule.params.reduce((regex, param, idx) => regex.replace(new RegExp(`:${param}(?![A-Za-z0-9_])`, "g"), () => escapeRegex(match[idx + 1])), invalidate))));
+      }, []);
+    }
+    async invalidateMatching(patterns) {
+      const lru = await this.lru();
+      await this.evict(Object.keys(lru.state.map).filter((url) => patterns.some((pattern) => pattern.test(stripCacheKey(url)))));
+    }
+    async evict(urls) {
+      if (urls.length === 0) {
+        return;
+      }
+      const lru = await this.lru();
+      urls.forEach((url) => lru.remove(url));
+      await Promise.all(urls.map((url) => this.clearCacheForUrl(url)));
       await this.syncLru();
     }
     async cleanup() {
       await Promise.all([
         this.cache.then((cache) => this.adapter.caches.delete(cache.name)),
         this.ageTable.then((table) => this.db.delete(table.name)),
-        this.lruTable.then((table) => this.db.delete(table.name))
+        this.lruTable.then((table) => this.db.delete(table.name)),
+        ...this.queueTable !== null ? [this.queueTable.then((table) => this.db.delete(table.name))] : []
       ]);
     }
     async getCacheNames() {
-      const [cache, ageTable, lruTable] = await Promise.all([
+      const [cache, ageTable, lruTable, queueTable] = await Promise.all([
         this.cache,
         this.ageTable,
-        this.lruTable
+        this.lruTable,
+        this.queueTable
       ]);
-      return [cache.name, ageTable.cacheName, lruTable.cacheName];
+      const names = [cache.name, ageTable.cacheName, lruTable.cacheName];
+      return queueTable !== null ? [...names, queueTable.cacheName] : names;
     }
     async clearCacheForUrl(url) {
       const [cache, ageTable] = await Promise.all([this.cache, this.ageTable]);
@@ -853,10 +1444,49 @@ ${error.stack}`;
         ageTable.delete(url)
       ]);
     }
-    async safeFetch(req) {
+    async fetchWithValidators(req, signal) {
+      const networkReq = this.networkRequests.has(req) ? this.networkRequests.get(req).clone() : req;
+      const fetchRequest = async (request) => {
+        const res = await (signal !== void 0 ? this.scope.fetch(request, { signal }) : this.scope.fetch(request));
+        this.networkReachable = true;
+        return res;
+      };
+      if (networkReq.method !== "GET" || !canRevalidate(this.adapter, networkReq)) {
+        return fetchRequest(networkReq);
+      }
+      let entry;
       try {
-        return await this.scope.fetch(req);
+        entry = await (await this.ageTable).read(req.url);
       } catch (e) {
+        return fetchRequest(networkReq);
+      }
+      if (!hasValidators(entry)) {
+        return fetchRequest(networkReq);
+      }
+      const res = await fetchRequest(this.adapter.newRequest(networkReq, {
+        headers: conditionalHeaders(this.adapter, networkReq.headers, entry)
+      }));
+      if (res.status !== 304) {
+        return res;
+      }
+      const cached = await (await this.cache).match(req, this.config.cacheQueryOptions);
+      if (cached === void 0) {
+        return fetchRequest(networkReq);
+      }
+      const update = { age: this.adapter.time };
+      if (this.config.honorCacheControl && (res.headers.has("Cache-Control") || res.headers.has("Expires"))) {
+        const directives = parseCacheControl(res, this.adapter.time);
+        update.maxAge = !directives.cacheable ? 0 : directives.maxAge !== null ? Math.min(directives.maxAge, this.config.maxAge) : void 0;
+      }
+      await (await this.ageTable).write(req.url, __spreadValues(__spreadValues({}, entry), update));
+      this.revalidatedResponses.add(cached);
+      return cached;
+    }
+    async safeFetch(req) {
+      try {
+        return await this.sharedFetch(req, false).response;
+      } catch (err) {
+        this.debugHandler.log(err, `DataGroup(${this.config.name}@${this.config.version}).safeFetch(${req.url})`);
         return this.adapter.newResponse(null, {
           status: 504,
           statusText: "Gateway Timeout"
@@ -865,7 +1495,190 @@ ${error.stack}`;
     }
   };
 
+  function isGraphQLRequest(body) {
+    return "query" in body || "operationName" in body || "extensions" in body;
+  }
+  function graphQLOperationType(body) {
+    if (typeof body.query !== "string") {
+      return null;
+    }
+    const tokens = (body.query.match(GRAPHQL_TOKEN) || []).filter((token) => /^[_A-Za-z{}()[\]]/.test(token));
+    const operations = [];
+    let depth = 0;
+    let inDefinition = false;
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      if (token === "{" || token === "(" || token === "[") {
+        if (depth === 0 && token === "{" && !inDefinition) {
+          operations.push({ type: "query", name: null });
+          inDefinition = true;
+        }
+        depth++;
+      } else if (token === "}" || token === ")" || token === "]") {
+        if (--depth < 0) {
+          return null;
+        }
+        if (depth === 0 && token === "}") {
+          inDefinition = false;
+        }
+      } else if (depth === 0 && !inDefinition) {
+        inDefinition = true;
+        if (token === "query" || token === "mutation" || token === "subscription") {
+          const name = tokens[i + 1];
+          operations.push({ type: token, name: name !== void 0 && /^[_A-Za-z]/.test(name) ? name : null });
+        }
+      }
+    }
+    if (depth !== 0) {
+      return null;
+    }
+    const selected = typeof body.operationName === "string" ? operations.filter((op) => op.name === body.operationName) : operations;
+    return selected.length === 1 ? selected[0].type : null;
+  }
+  function readCookie(header, name) {
+    if (header === null) {
+      return null;
+    }
+    for (const pair of header.split(";")) {
+      const idx = pair.indexOf("=");
+      if (idx !== -1 && pair.slice(0, idx).trim() === name) {
+        return pair.slice(idx + 1).trim() || null;
+      }
+    }
+    return null;
+  }
+  function stableStringify(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map((item) => stableStringify(item)).join(",")}]`;
+    }
+    if (value !== null && typeof value === "object") {
+      return `{${Object.keys(value).sort().filter((key) => value[key] !== void 0).map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(",")}}`;
+    }
+    return value === void 0 ? "null" : JSON.stringify(value);
+  }
+  function normalizeQueryParams(url, normalization) {
+    const queryIdx = url.indexOf("?");
+    if (normalization === void 0 || queryIdx === -1) {
+      return url;
+    }
+    const ignoreQueryParams = normalization.ignoreQueryParams.map((param) => new RegExp(param));
+    const paramName = (param) => param.split("=")[0];
+    const params = url.slice(queryIdx + 1).split("&").filter((param) => param !== "" && !ignoreQueryParams.some((pattern) => pattern.test(paramName(param))));
+    if (normalization.sortQueryParams) {
+      params.sort((a, b) => paramName(a) < paramName(b) ? -1 : paramName(a) > paramName(b) ? 1 : 0);
+    }
+    return params.length > 0 ? `${url.slice(0, queryIdx)}?${params.join("&")}` : url.slice(0, queryIdx);
+  }
+  function stripCacheKey(url) {
+    return url.replace(new RegExp(`[?&]${CACHE_KEY_PARAM}=[^&#]*$`), "");
+  }
+  function markStale(adapter2, res) {
+    if (res.type === "opaque") {
+      return res;
+    }
+    const headers = adapter2.newHeaders(res.headers);
+    headers.set("ngsw-stale", "true");
+    return adapter2.newResponse(res.body, { status: res.status, statusText: res.statusText, headers });
+  }
+  function responseValidators(res) {
+    const etag = res.headers.get("ETag");
+    const lastModified = res.headers.get("Last-Modified");
+    return {
+      etag: etag !== null ? etag : void 0,
+      lastModified: lastModified !== null ? lastModified : void 0
+    };
+  }
+  function hasValidators(meta) {
+    return meta.etag !== void 0 || meta.lastModified !== void 0;
+  }
+  function canRevalidate(adapter2, req) {
+    return req.mode !== "navigate" && adapter2.parseUrl(req.url).origin === adapter2.origin && !req.headers.has("If-None-Match") && !req.headers.has("If-Modified-Since");
+  }
+  function conditionalHeaders(adapter2, headers, validators) {
+    const result = adapter2.newHeaders(headers);
+    if (validators.etag !== void 0) {
+      result.set("If-None-Match", validators.etag);
+    }
+    if (validators.lastModified !== void 0) {
+      result.set("If-Modified-Since", validators.lastModified);
+    }
+    return result;
+  }
+  function parseCacheControl(res, now) {
+    const directives = /* @__PURE__ */ new Map();
+    (res.headers.get("Cache-Control") || "").split(",").forEach((directive) => {
+      const [name, value] = directive.split("=");
+      if (name.trim() !== "") {
+        directives.set(name.trim().toLowerCase(), value !== void 0 ? value.trim().replace(/^"|"$/g, "") : null);
+      }
+    });
+    if (directives.has("no-store")) {
+      return { cacheable: false, maxAge: null };
+    }
+    if (directives.has("no-cache")) {
+      return { cacheable: true, maxAge: 0 };
+    }
+    const maxAgeSeconds = parseInt(directives.get("max-age"), 10);
+    if (!isNaN(maxAgeSeconds)) {
+      const ageSeconds = parseInt(res.headers.get("Age"), 10) || 0;
+      return { cacheable: true, maxAge: Math.max(0, maxAgeSeconds - ageSeconds) * 1e3 };
+    }
+    const expires = res.headers.get("Expires");
+    if (expires !== null) {
+      const expiresAt = Date.parse(expires);
+      const date = Date.parse(res.headers.get("Date"));
+      const maxAge = expiresAt - (isNaN(date) ? now : date);
+      return { cacheable: true, maxAge: isNaN(maxAge) ? 0 : Math.max(0, maxAge) };
+    }
+    return { cacheable: true, maxAge: null };
+  }
+  async function responseSize(res) {
+    if (res.type === "opaque") {
+      return 0;
+    }
+    return (await res.clone().blob()).size;
+  }
+  function escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+  }
+  async function serializeRequest(req, id, time, storeHeaders = []) {
+    const headers = {};
+    req.headers.forEach((value, name) => {
+      if (!CREDENTIAL_HEADERS.includes(name) || storeHeaders.includes(name)) {
+        headers[name] = value;
+      }
+    });
+    const body = req.method === "GET" || req.method === "HEAD" ? null : arrayBufferToBase64(await req.arrayBuffer());
+    return { id, time, url: req.url, method: req.method, headers, body, credentials: req.credentials };
+  }
+  function deserializeRequest(adapter2, entry) {
+    return adapter2.newRequest(entry.url, {
+      method: entry.method,
+      headers: entry.headers,
+      body: entry.body !== null ? base64ToArrayBuffer(entry.body) : null,
+      credentials: entry.credentials
+    });
+  }
+  function arrayBufferToBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = "";
+    for (let i = 0; i < bytes.length; i++) {
+      binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+  }
+  function base64ToArrayBuffer(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes.buffer;
+  }
+
   // bazel-out/k8-fastbuild-ST-2e5f3376adb5/bin/packages/service-worker/worker/src/app-version.mjs
+  var STORAGE_QUOTA_CHECK_INTERVAL = 3e4;
+  var DATA_PREFETCH_TIMEOUT = 3e4;
   var BACKWARDS_COMPATIBILITY_NAVIGATION_URLS = [
     { positive: true, regex: "^/.*$" },
     { positive: false, regex: "^/.*\\.[^/]*$" },
@@ -883,21 +1696,26 @@ ${error.stack}`;
       this.manifest = manifest;
       this.manifestHash = manifestHash;
       this.hashTable = /* @__PURE__ */ new Map();
+      this.sizeTable = /* @__PURE__ */ new Map();
       this._okay = true;
+      this.lastStorageQuotaCheck = null;
       this.indexUrl = this.adapter.normalizeUrl(this.manifest.index);
       Object.keys(manifest.hashTable).forEach((url) => {
         this.hashTable.set(adapter2.normalizeUrl(url), manifest.hashTable[url]);
       });
+      Object.keys(manifest.sizeTable || {}).forEach((url) => {
+        this.sizeTable.set(adapter2.normalizeUrl(url), manifest.sizeTable[url]);
+      });
       const assetCacheNamePrefix = `${manifestHash}:assets`;
       this.assetGroups = (manifest.assetGroups || []).map((config) => {
         switch (config.installMode) {
           case "prefetch":
-            return new PrefetchAssetGroup(scope2, adapter2, idle, config, this.hashTable, database, assetCacheNamePrefix);
+            return new PrefetchAssetGroup(scope2, adapter2, idle, config, this.hashTable, database, assetCacheNamePrefix, this.sizeTable, manifest.hashAlgorithm);
           case "lazy":
-            return new LazyAssetGroup(scope2, adapter2, idle, config, this.hashTable, database, assetCacheNamePrefix);
+            return new LazyAssetGroup(scope2, adapter2, idle, config, this.hashTable, database, assetCacheNamePrefix, this.sizeTable, manifest.hashAlgorithm);
         }
       });
-      this.dataGroups = (manifest.dataGroups || []).map((config) => new DataGroup(scope2, adapter2, config, database, debugHandler, `${config.version}:data`));
+      this.dataGroups = (manifest.dataGroups || []).map((config) => new DataGroup(scope2, adapter2, config, database, debugHandler, `${config.version}:data`, () => this.enforceStorageQuota(), (req) => this.invalidateDataGroups(req)));
       manifest.navigationUrls = manifest.navigationUrls || BACKWARDS_COMPATIBILITY_NAVIGATION_URLS;
       const includeUrls = manifest.navigationUrls.filter((spec) => spec.positive);
       const excludeUrls = manifest.navigationUrls.filter((spec) => !spec.positive);
@@ -906,17 +1724,52 @@ ${error.stack}`;
         exclude: excludeUrls.map((spec) => new RegExp(spec.regex))
       };
     }
-    async initializeFully(updateFrom) {
+    async initializeFully(updateFrom, onProgress) {
       try {
-        await this.assetGroups.reduce(async (previous, group) => {
+        const concurrency = this.manifest.prefetchConcurrency || 1;
+        const byPriority = this.assetGroups.slice().sort((a, b) => (b.config.priority || 0) - (a.config.priority || 0));
+        await byPriority.reduce(async (previous, group) => {
           await previous;
-          return group.initializeFully(updateFrom);
+          return group.initializeFully(updateFrom, concurrency, onProgress);
         }, Promise.resolve());
       } catch (err) {
         this._okay = false;
         throw err;
       }
     }
+    async prefetchDataGroups() {
+      const prefetched = Promise.all(this.dataGroups.map((group) => Promise.all((group.config.prefetchUrls || []).map(async (url) => {
+        try {
+          if (!await group.prefetch(this.adapter.newRequest(url))) {
+            this.debugHandler.log(`Failed to prefetch ${url}`, `AppVersion(${this.manifestHash}).prefetchDataGroups(${group.config.name})`);
+          }
+        } catch (err) {
+          this.debugHandler.log(err, `AppVersion(${this.manifestHash}).prefetchDataGroups(${group.config.name})`);
+        }
+      }))));
+      await Promise.race([prefetched, this.adapter.timeout(DATA_PREFETCH_TIMEOUT)]);
+    }
+    listDataGroups() {
+      return Promise.all(this.dataGroups.map((group) => group.cacheInfo()));
+    }
+    async deleteDataUrl(url) {
+      const absoluteUrl = this.adapter.newRequest(url).url;
+      const deleted = await Promise.all(this.dataGroups.map((group) => group.deleteUrl(absoluteUrl)));
+      return deleted.some((wasDeleted) => wasDeleted);
+    }
+    async clearDataGroups(name) {
+      const groups = this.dataGroups.filter((group) => name === void 0 || group.config.name === name);
+      await Promise.all(groups.map((group) => group.clear()));
+      return groups.length > 0;
+    }
+    async prefetchData(urls) {
+      const results = await Promise.all(urls.map(async (url) => {
+        const req = this.adapter.newRequest(url);
+        const group = this.dataGroups.find((dataGroup) => dataGroup.patterns.some((pattern) => pattern.test(req.url)));
+        return group !== void 0 && group.prefetch(req);
+      }));
+      return results.every((cached) => cached);
+    }
     async handleFetch(req, event) {
       const asset = await this.assetGroups.reduce(async (potentialResponse, group) => {
         const resp = await potentialResponse;
@@ -936,6 +1789,9 @@ ${error.stack}`;
         return group.handleFetch(req, event);
       }, Promise.resolve(null));
       if (data !== null) {
+        if (data.ok && !data.headers.has("ngsw-mutation-queued")) {
+          await this.invalidateDataGroups(req);
+        }
         return data;
       }
       if (this.adapter.normalizeUrl(req.url) !== this.indexUrl && this.isNavigationRequest(req)) {
@@ -996,6 +1852,53 @@ ${error.stack}`;
         return groupStatus;
       }, Promise.resolve(UpdateCacheStatus.NOT_CACHED));
     }
+    async enforceStorageQuota() {
+      const threshold = this.manifest.storageEvictionThreshold;
+      const now = this.adapter.time;
+      if (threshold === void 0 || this.lastStorageQuotaCheck !== null && now - this.lastStorageQuotaCheck < STORAGE_QUOTA_CHECK_INTERVAL) {
+        return;
+      }
+      this.lastStorageQuotaCheck = now;
+      const estimate = await this.adapter.storageEstimate();
+      if (estimate === null || !estimate.quota || estimate.usage === void 0) {
+        return;
+      }
+      let excess = estimate.usage - estimate.quota * threshold;
+      while (excess > 0) {
+        const lrus = await Promise.all(this.dataGroups.map((group) => group.lru()));
+        const candidates = this.dataGroups.map((group, idx) => ({ group, lru: lrus[idx] })).filter(({ lru }) => lru.size > 0);
+        if (candidates.length === 0) {
+          break;
+        }
+        const largest = candidates.reduce((max, candidate) => candidate.lru.bytes > max.lru.bytes ? candidate : max);
+        const freed = await largest.group.evictLeastRecentlyUsed();
+        excess -= freed || 0;
+      }
+    }
+    async invalidateDataGroups(req) {
+      if (req.method === "GET" || req.method === "HEAD" || req.method === "OPTIONS") {
+        return;
+      }
+      try {
+        const patterns = this.dataGroups.reduce((all, group) => all.concat(group.invalidationPatterns(req)), []);
+        if (patterns.length === 0) {
+          return;
+        }
+        await Promise.all(this.dataGroups.map((group) => group.invalidateMatching(patterns)));
+      } catch (err) {
+        this.debugHandler.log(err, `AppVersion(${this.manifestHash}).invalidateDataGroups(${req.url})`);
+      }
+    }
+    async resetDataPartitions() {
+      await Promise.all(this.dataGroups.map((group) => group.resetPartitions()));
+    }
+    async discardQueuedMutations(deletedCaches) {
+      await Promise.all(this.dataGroups.map((group) => group.discardQueue(deletedCaches)));
+    }
+    async replayQueuedMutations() {
+      const remaining = await Promise.all(this.dataGroups.map((group) => group.replayQueue()));
+      return remaining.reduce((total, count) => total + count, 0);
+    }
     async getCacheNames() {
       const allGroupCacheNames = await Promise.all([
         ...this.assetGroups.map((group) => group.getCacheNames()),
@@ -1180,6 +2083,52 @@ ${msgIdle}`, { headers: this.adapter.newHeaders({ "Content-Type": "text/plain" }
   function isMsgActivateUpdate(msg) {
     return msg.action === "ACTIVATE_UPDATE";
   }
+  function isMsgResetDataPartitions(msg) {
+    return msg.action === "RESET_DATA_PARTITIONS";
+  }
+  function isMsgPrefetchData(msg) {
+    return msg.action === "PREFETCH_DATA";
+  }
+  function isMsgListDataGroups(msg) {
+    return msg.action === "LIST_DATA_GROUPS";
+  }
+  function isMsgDeleteDataUrl(msg) {
+    return msg.action === "DELETE_DATA_URL";
+  }
+  function isMsgClearDataGroups(msg) {
+    return msg.action === "CLEAR_DATA_GROUPS";
+  }
+
+  // bazel-out/k8-fastbuild-ST-2e5f3376adb5/bin/packages/service-worker/worker/src/signature.mjs
+  var MANIFEST_KEY_PARAM = "ngsw-manifest-key";
+  var MANIFEST_SIGNATURE_ALGORITHM = { name: "ECDSA", namedCurve: "P-256", hash: "SHA-256" };
+  function manifestPublicKey(scope2) {
+    if (scope2.location === void 0) {
+      return null;
+    }
+    return new URL(scope2.location.href).searchParams.get(MANIFEST_KEY_PARAM);
+  }
+  function base64ToBytes(value) {
+    const binary = atob(value.replace(/-/g, "+").replace(/_/g, "/"));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+  async function verifyManifestSignature(manifest, publicKey) {
+    if (typeof manifest.signature !== "string") {
+      return false;
+    }
+    const unsigned = __spreadValues({}, manifest);
+    delete unsigned.signature;
+    try {
+      const key = await crypto.subtle.importKey("spki", base64ToBytes(publicKey), MANIFEST_SIGNATURE_ALGORITHM, false, ["verify"]);
+      return await crypto.subtle.verify(MANIFEST_SIGNATURE_ALGORITHM, key, base64ToBytes(manifest.signature), new TextEncoder().encode(JSON.stringify(unsigned)));
+    } catch (_) {
+      return false;
+    }
+  }
 
   // bazel-out/k8-fastbuild-ST-2e5f3376adb5/bin/packages/service-worker/worker/src/driver.mjs
   var IDLE_DELAY = 5e3;
@@ -1221,6 +2170,7 @@ ${msgIdle}`, { headers: this.adapter.newHeaders({ "Content-Type": "text/plain" }
       this.latestHash = null;
       this.lastUpdateCheck = null;
       this.scheduledNavUpdateCheck = false;
+      this.manifestPublicKey = manifestPublicKey(scope2);
       this.loggedInvalidOnlyIfCachedRequest = false;
       this.controlTable = this.db.open("control");
       this.ngswStatePath = this.adapter.parseUrl("ngsw/state", this.scope.registration.scope).path;
@@ -1246,6 +2196,7 @@ ${msgIdle}`, { headers: this.adapter.newHeaders({ "Content-Type": "text/plain" }
       this.scope.addEventListener("message", (event) => this.onMessage(event));
       this.scope.addEventListener("push", (event) => this.onPush(event));
       this.scope.addEventListener("notificationclick", (event) => this.onClick(event));
+      this.scope.addEventListener("sync", (event) => this.onSync(event));
       this.debugger = new DebugHandler(this, this.adapter);
       this.idle = new IdleScheduler(this.adapter, IDLE_DELAY, MAX_IDLE_DELAY, this.debugger);
     }
@@ -1305,6 +2256,12 @@ ${msgIdle}`, { headers: this.adapter.newHeaders({ "Content-Type": "text/plain" }
     onClick(event) {
       event.waitUntil(this.handleClick(event.notification, event.action));
     }
+    onSync(event) {
+      if (this.state === DriverReadyState.SAFE_MODE || event.tag !== MUTATION_QUEUE_SYNC_TAG) {
+        return;
+      }
+      event.waitUntil(this.handleSync(event));
+    }
     async ensureInitialized(event) {
       if (this.initialized !== null) {
         return this.initialized;
@@ -1327,6 +2284,56 @@ ${msgIdle}`, { headers: this.adapter.newHeaders({ "Content-Type": "text/plain" }
       } else if (isMsgActivateUpdate(msg)) {
         const action = this.updateClient(from);
         await this.completeOperation(from, action, msg.nonce);
+      } else if (isMsgResetDataPartitions(msg)) {
+        const action = this.resetDataPartitions();
+        await this.completeOperation(from, action, msg.nonce);
+      } else if (isMsgPrefetchData(msg)) {
+        const action = this.prefetchData(from, msg.urls);
+        await this.completeOperation(from, action, msg.nonce);
+      } else if (isMsgListDataGroups(msg)) {
+        const action = this.listDataGroups(from);
+        await this.completeOperation(from, action, msg.nonce);
+      } else if (isMsgDeleteDataUrl(msg)) {
+        const action = this.deleteDataUrl(msg.url);
+        await this.completeOperation(from, action, msg.nonce);
+      } else if (isMsgClearDataGroups(msg)) {
+        const action = this.clearDataGroups(msg.group);
+        await this.completeOperation(from, action, msg.nonce);
+      }
+    }
+    versionForClient(client, debugName) {
+      const hash = this.clientVersionMap.has(client.id) ? this.clientVersionMap.get(client.id) : this.latestHash;
+      return hash !== null ? this.lookupVersionByHash(hash, debugName) : null;
+    }
+    async prefetchData(client, urls) {
+      const appVersion = this.versionForClient(client, "prefetchData");
+      return appVersion !== null ? appVersion.prefetchData(urls) : false;
+    }
+    async listDataGroups(client) {
+      const appVersion = this.versionForClient(client, "listDataGroups");
+      return appVersion !== null ? appVersion.listDataGroups() : [];
+    }
+    async deleteDataUrl(url) {
+      const deleted = await Promise.all(Array.from(this.versions.values()).map((version) => version.deleteDataUrl(url)));
+      return deleted.some((wasDeleted) => wasDeleted);
+    }
+    async clearDataGroups(name) {
+      const cleared = await Promise.all(Array.from(this.versions.values()).map((version) => version.clearDataGroups(name)));
+      return cleared.some((wasCleared) => wasCleared);
+    }
+    async resetDataPartitions() {
+      await Promise.all(Array.from(this.versions.values()).map((version) => version.resetDataPartitions()));
+      return true;
+    }
+    async handleSync(event) {
+      await this.ensureInitialized(event);
+      const appVersion = this.versions.get(this.latestHash);
+      if (appVersion === void 0) {
+        return;
+      }
+      const remaining = await appVersion.replayQueuedMutations();
+      if (remaining > 0) {
+        throw new Error(`${remaining} queued request(s) could not be replayed yet`);
       }
     }
     async handlePush(data) {
@@ -1464,6 +2471,7 @@ ${msgIdle}`, { headers: this.adapter.newHeaders({ "Content-Type": "text/plain" }
     async initialize() {
       const table = await this.controlTable;
       let manifests, assignments, latest;
+      let installed = false;
       try {
         [manifests, assignments, latest] = await Promise.all([
           table.read("manifests"),
@@ -1479,6 +2487,7 @@ ${msgIdle}`, { headers: this.adapter.newHeaders({ "Content-Type": "text/plain" }
         });
       } catch (_) {
         const manifest = await this.fetchLatestManifest();
+        await this.verifyManifest(manifest);
         const hash = hashManifest(manifest);
         manifests = { [hash]: manifest };
         assignments = {};
@@ -1488,6 +2497,7 @@ ${msgIdle}`, { headers: this.adapter.newHeaders({ "Content-Type": "text/plain" }
           table.write("assignments", assignments),
           table.write("latest", latest)
         ]);
+        installed = true;
       }
       this.idle.schedule("init post-load (cleanup)", async () => {
         await this.cleanupCaches();
@@ -1519,6 +2529,9 @@ ${msgIdle}`, { headers: this.adapter.newHeaders({ "Content-Type": "text/plain" }
           return false;
         }
       }));
+      if (installed) {
+        this.schedulePrefetchData(this.versions.get(latest.latest));
+      }
     }
     lookupVersionByHash(hash, debugName = "lookupVersionByHash") {
       if (!this.versions.has(hash)) {
@@ -1578,6 +2591,14 @@ ${msgIdle}`, { headers: this.adapter.newHeaders({ "Content-Type": "text/plain" }
       this.lastUpdateCheck = this.adapter.time;
       return res.json();
     }
+    async verifyManifest(manifest) {
+      if (this.manifestPublicKey === null) {
+        return;
+      }
+      if (!await verifyManifestSignature(manifest, this.manifestPublicKey)) {
+        throw new Error("Manifest signature verification failed: 'ngsw.json' is not signed with the expected key.");
+      }
+    }
     async deleteAllCaches() {
       const cacheNames = await this.adapter.caches.keys();
       await Promise.all(cacheNames.map((name) => this.adapter.caches.delete(name)));
@@ -1596,6 +2617,9 @@ ${msgIdle}`, { headers: this.adapter.newHeaders({ "Content-Type": "text/plain" }
       }
       this.idle.schedule(`initialization(${appVersion.manifestHash})`, initialize);
     }
+    schedulePrefetchData(appVersion) {
+      this.idle.schedule(`prefetchDataGroups(${appVersion.manifestHash})`, () => appVersion.prefetchDataGroups());
+    }
     async versionFailed(appVersion, err) {
       const broken = Array.from(this.versions.entries()).find(([hash, version]) => version === appVersion);
       if (broken === void 0) {
@@ -1609,13 +2633,21 @@ ${msgIdle}`, { headers: this.adapter.newHeaders({ "Content-Type": "text/plain" }
     }
     async setupUpdate(manifest, hash) {
       try {
+        await this.verifyManifest(manifest);
         const newVersion = new AppVersion(this.scope, this.adapter, this.db, this.idle, this.debugger, manifest, hash);
         if (manifest.configVersion !== SUPPORTED_CONFIG_VERSION) {
           await this.deleteAllCaches();
           await this.scope.registration.unregister();
           throw new Error(`Invalid config version: expected ${SUPPORTED_CONFIG_VERSION}, got ${manifest.configVersion}.`);
         }
-        await newVersion.initializeFully(this);
+        let progressReported = Promise.resolve();
+        try {
+          await newVersion.initializeFully(this, (progress) => {
+            progressReported = progressReported.then(() => this.notifyClientsAboutVersionInstallationProgress(manifest, hash, progress)).catch((err) => this.debugger.log(err, `Driver.setupUpdate(${hash}): report progress`));
+          });
+        } finally {
+          await progressReported;
+        }
         this.versions.set(hash, newVersion);
         this.latestHash = hash;
         if (this.state === DriverReadyState.EXISTING_CLIENTS_ONLY) {
@@ -1623,6 +2655,7 @@ ${msgIdle}`, { headers: this.adapter.newHeaders({ "Content-Type": "text/plain" }
           this.stateMessage = "(nominal)";
         }
         await this.sync();
+        this.schedulePrefetchData(newVersion);
         await this.notifyClientsAboutVersionReady(manifest, hash);
       } catch (e) {
         await this.notifyClientsAboutVersionInstallationFailed(manifest, hash, e);
@@ -1679,11 +2712,13 @@ ${msgIdle}`, { headers: this.adapter.newHeaders({ "Content-Type": "text/plain" }
         obsoleteClients.forEach((id) => this.clientVersionMap.delete(id));
         const usedVersions = new Set(this.clientVersionMap.values());
         const obsoleteVersions = Array.from(this.versions.keys()).filter((version) => !usedVersions.has(version) && version !== this.latestHash);
+        const obsoleteAppVersions = obsoleteVersions.map((version) => this.versions.get(version));
         obsoleteVersions.forEach((version) => this.versions.delete(version));
         await this.sync();
         const allCaches = await this.adapter.caches.keys();
         const usedCaches = new Set(await this.getCacheNames());
         const cachesToDelete = allCaches.filter((name) => !usedCaches.has(name));
+        await Promise.all(obsoleteAppVersions.map((appVersion) => appVersion.discardQueuedMutations(cachesToDelete)));
         await Promise.all(cachesToDelete.map((name) => this.adapter.caches.delete(name)));
       } catch (err) {
         this.debugger.log(err, "cleanupCaches");
@@ -1766,6 +2801,17 @@ ${msgIdle}`, { headers: this.adapter.newHeaders({ "Content-Type": "text/plain" }
         client.postMessage({ type: "VERSION_DETECTED", version: this.mergeHashWithAppData(manifest, hash) });
       }));
     }
+    async notifyClientsAboutVersionInstallationProgress(manifest, hash, progress) {
+      await this.initialized;
+      const clients = await this.scope.clients.matchAll();
+      await Promise.all(clients.map(async (client) => {
+        const version = this.clientVersionMap.get(client.id);
+        if (version === void 0) {
+          return;
+        }
+        client.postMessage(__spreadValues({ type: "VERSION_INSTALLATION_PROGRESS", version: this.mergeHashWithAppData(manifest, hash) }, progress));
+      }));
+    }
     async notifyClientsAboutVersionReady(manifest, hash) {
       await this.initialized;
       const clients = await this.scope.clients.matchAll();
@@ -0,0 +1,117 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { describe, it } from 'node:test';
+import { runCli, tempDir } from '../testing/cli.mjs';
+const config = { index: '/index.html', assetGroups: [{ name: 'app', resources: { files: ['/*.*'] } }] };
+function setup(files = {}) {
+    return tempDir({ 'dist/index.html': 'index', 'dist/main.js': 'main', 'ngsw-config.json': config, ...files });
+}
+function readManifest(file) {
+    return JSON.parse(readFileSync(file, 'utf8'));
+}
+describe('ngsw-config', () => {
+    describe('generate', () => {
+        it('writes the manifest into the distribution directory', async () => {
+            const cwd = setup();
+            const { code, stdout } = await runCli(['--dist', 'dist'], { cwd });
+            assert.equal(code, 0);
+            assert.match(stdout, /Service worker manifest for 2 files, 9 B written to '.*ngsw\.json'\./);
+            assert.deepEqual(Object.keys(readManifest(join(cwd, 'dist', 'ngsw.json')).hashTable), ['/index.html', '/main.js']);
+        });
+        it('still accepts the positional dist, config and base href arguments', async () => {
+            const cwd = setup({ 'sw.json': config });
+            const { code } = await runCli(['dist', 'sw.json', '/app/'], { cwd });
+            assert.equal(code, 0);
+            assert.equal(readManifest(join(cwd, 'dist', 'ngsw.json')).index, '/app/index.html');
+        });
+        it('supports --config, --base-href and --out', async () => {
+            const cwd = setup({ 'sw.json': config });
+            const { code } = await runCli(['generate', '--dist=dist', '--config', 'sw.json', '--base-href', '/app/', '--out', 'out.json'], { cwd });
+            assert.equal(code, 0);
+            assert.equal(readManifest(join(cwd, 'out.json')).index, '/app/index.html');
+            assert.equal(existsSync(join(cwd, 'dist', 'ngsw.json')), false);
+        });
+        it('does not write the manifest with --dry-run', async () => {
+            const cwd = setup();
+            const { code, stdout } = await runCli(['--dist', 'dist', '--dry-run'], { cwd });
+            assert.equal(code, 0);
+            assert.match(stdout, /not written \(dry run\)/);
+            assert.equal(existsSync(join(cwd, 'dist', 'ngsw.json')), false);
+        });
+        it('prints the manifest with --json', async () => {
+            const { code, stdout } = await runCli(['--dist', 'dist', '--json', '--dry-run'], { cwd: setup() });
+            assert.equal(code, 0);
+            assert.equal(JSON.parse(stdout).index, '/index.html');
+        });
+        it('prints nothing with --quiet', async () => {
+            const { code, stdout, stderr } = await runCli(['--dist', 'dist', '--quiet'], { cwd: setup() });
+            assert.equal(code, 0);
+            assert.equal(stdout + stderr, '');
+        });
+    });
+    describe('validate', () => {
+        it('reports a valid configuration', async () => {
+            const { code, stdout } = await runCli(['validate'], { cwd: setup() });
+            assert.equal(code, 0);
+            assert.match(stdout, /is valid\./);
+        });
+        it('lists every problem and fails', async () => {
+            const invalid = { index: 3, assetGroups: [{ nam: 'app', resources: {} }] };
+            const { code, stderr } = await runCli(['validate'], { cwd: setup({ 'ngsw-config.json': invalid }) });
+            assert.equal(code, 1);
+            assert.match(stderr, /\$\.index: Expected a string, got 3\./);
+            assert.match(stderr, /\$\.assetGroups\[0\]\.name: Missing required property 'name'\.\n {4}Rename 'nam' to 'name'\./);
+        });
+        it('does not generate a manifest from an invalid configuration', async () => {
+            const cwd = setup({ 'ngsw-config.json': { index: '/index.html', dataGroups: 'none' } });
+            const { code } = await runCli(['--dist', 'dist'], { cwd });
+            assert.equal(code, 1);
+            assert.equal(existsSync(join(cwd, 'dist', 'ngsw.json')), false);
+        });
+    });
+    describe('errors', () => {
+        it('prints the usage with --help', async () => {
+            for (const flag of ['--help', '-h']) {
+                const { code, stdout } = await runCli([flag], { cwd: setup() });
+                assert.equal(code, 0);
+                assert.match(stdout, /^Usage: ngsw-config \[command\] \[options\]/);
+            }
+        });
+        for (const [name, args, message] of [
+            ['an unknown option', ['--dist', 'dist', '--verbose'], /Unknown option '--verbose'\./],
+            ['a missing option value', ['--dist'], /Option '--dist' requires a value\./],
+            ['a value for a flag', ['--dist', 'dist', '--json=yes'], /Option '--json' does not take a value\./],
+            ['a missing distribution directory', [], /Missing the distribution directory\./],
+            ['an extra argument', ['dist', 'ngsw-config.json', '/', 'extra'], /Unexpected argument 'extra'\./],
+            ['a conflicting argument', ['dist', '--dist', 'dist'], /'dist' conflicts with '--dist'\./],
+            ['an unknown command', ['gen', 'dist'], /Unknown command 'gen'\. Expected one of 'generate', 'lint', 'validate'\./],
+            ['an unknown command before --dist', ['gen', '--dist', 'dist'], /Unknown command 'gen'\./],
+        ]) {
+            it(`exits with 2 on ${name}`, async () => {
+                const { code, stderr } = await runCli(args, { cwd: setup() });
+                assert.equal(code, 2);
+                assert.match(stderr, message);
+                assert.match(stderr, /Run 'ngsw-config --help' for usage\./);
+            });
+        }
+        for (const [name, files, args, message] of [
+            ['a missing configuration', {}, ['--dist', 'dist', '--config', 'missing.json'], /Cannot read service worker configuration '.*missing\.json'/],
+            ['a configuration that is not JSON', { 'ngsw-config.json': '{' }, ['--dist', 'dist'], /is not valid JSON/],
+            ['a missing distribution directory', {}, ['--dist', 'missing'], /Distribution directory '.*missing' does not exist\./],
+        ]) {
+            it(`exits with 1 on ${name}`, async () => {
+                const { code, stderr } = await runCli(args, { cwd: setup(files) });
+                assert.equal(code, 1);
+                assert.match(stderr, message);
+            });
+        }
+    });
+});
@@ -0,0 +1,32 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { describe, it } from 'node:test';
+import { runCli, tempDir } from '../testing/cli.mjs';
+const contents = 'console.log("main");\n'.repeat(100);
+function setup(hashAlgorithm) {
+    const config = { index: '/index.html', hashAlgorithm, assetGroups: [{ name: 'app', resources: { files: ['/*.*'] } }] };
+    return tempDir({ 'dist/index.html': 'index', 'dist/main.js': contents, 'ngsw-config.json': config });
+}
+describe('ngsw-config hash algorithms', () => {
+    for (const algorithm of [undefined, 'sha1', 'sha256', 'sha384']) {
+        it(`hashes files with ${algorithm ?? 'the default algorithm'}`, async () => {
+            const { code, stdout } = await runCli(['--dist', 'dist', '--json', '--dry-run'], { cwd: setup(algorithm) });
+            assert.equal(code, 0);
+            const manifest = JSON.parse(stdout);
+            assert.equal(manifest.hashAlgorithm, algorithm);
+            assert.equal(manifest.hashTable['/main.js'], createHash(algorithm ?? 'sha1').update(contents).digest('hex'));
+        });
+    }
+    it('rejects unsupported algorithms', async () => {
+        const { code, stderr } = await runCli(['--dist', 'dist'], { cwd: setup('md5') });
+        assert.equal(code, 1);
+        assert.match(stderr, /hashAlgorithm/);
+    });
+});
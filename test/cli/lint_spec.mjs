@@ -0,0 +1,43 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import assert from 'node:assert/strict';
+import { existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { describe, it } from 'node:test';
+import { runCli, tempDir } from '../testing/cli.mjs';
+function setup(files) {
+    const config = { index: '/index.html', assetGroups: [{ name: 'app', resources: { files: files } }] };
+    return tempDir({ 'dist/index.html': 'index', 'dist/main.js': 'main', 'ngsw-config.json': config });
+}
+describe('ngsw-config lint', () => {
+    it('prints warnings and still succeeds', async () => {
+        const { code, stdout, stderr } = await runCli(['lint', '--dist', 'dist'], { cwd: setup(['/index.html', '/*.txt']) });
+        assert.equal(code, 0);
+        assert.match(stderr, /'\/\*\.txt' does not match any file/);
+        assert.match(stderr, /'\/main\.js' is not cached by any asset group/);
+        assert.match(stdout, /2 warnings\./);
+    });
+    it('reports no problems for a clean configuration', async () => {
+        const { code, stdout, stderr } = await runCli(['lint', '--dist', 'dist'], { cwd: setup(['/index.html', '/*.js']) });
+        assert.equal(code, 0);
+        assert.equal(stderr, '');
+        assert.match(stdout, /No problems found\./);
+    });
+    it('prints warnings as JSON', async () => {
+        const { code, stdout } = await runCli(['lint', '--dist', 'dist', '--json'], { cwd: setup(['/index.html']) });
+        assert.equal(code, 0);
+        assert.deepEqual(JSON.parse(stdout).map(warning => warning.value), ['/main.js']);
+    });
+    it('does not write a manifest', async () => {
+        const cwd = setup(['/index.html', '/*.js']);
+        const { code, stdout } = await runCli(['lint', '--dist', 'dist', '--quiet'], { cwd });
+        assert.equal(code, 0);
+        assert.equal(stdout, '');
+        assert.equal(existsSync(join(cwd, 'dist', 'ngsw.json')), false);
+    });
+});
@@ -0,0 +1,45 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import assert from 'node:assert/strict';
+import { generateKeyPairSync, verify } from 'node:crypto';
+import { describe, it } from 'node:test';
+import { runCli, tempDir } from '../testing/cli.mjs';
+const config = { index: '/index.html', assetGroups: [{ name: 'app', resources: { files: ['/index.html'] } }] };
+function pem(type, options) {
+    const { privateKey, publicKey } = generateKeyPairSync(type, options);
+    return { privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }), publicKey };
+}
+describe('ngsw-config manifest signing', () => {
+    it('signs the manifest with an EC P-256 key', async () => {
+        const { privateKey, publicKey } = pem('ec', { namedCurve: 'prime256v1' });
+        const cwd = tempDir({ 'dist/index.html': 'index', 'ngsw-config.json': config, 'key.pem': privateKey });
+        const { code, stdout } = await runCli(['--dist', 'dist', '--signing-key', 'key.pem', '--json', '--dry-run'], { cwd });
+        assert.equal(code, 0);
+        const { signature, ...manifest } = JSON.parse(stdout);
+        const data = Buffer.from(JSON.stringify(manifest));
+        assert.equal(verify('sha256', data, { key: publicKey, dsaEncoding: 'ieee-p1363' }, Buffer.from(signature, 'base64')), true);
+    });
+    it('reads the signing key from NGSW_SIGNING_KEY', async () => {
+        const { privateKey } = pem('ec', { namedCurve: 'prime256v1' });
+        const cwd = tempDir({ 'dist/index.html': 'index', 'ngsw-config.json': config, 'key.pem': privateKey });
+        const { code, stdout } = await runCli(['--dist', 'dist', '--json', '--dry-run'], { cwd, env: { NGSW_SIGNING_KEY: 'key.pem' } });
+        assert.equal(code, 0);
+        assert.equal(typeof JSON.parse(stdout).signature, 'string');
+    });
+    for (const [name, type, options] of [
+        ['an RSA key', 'rsa', { modulusLength: 2048 }],
+        ['an EC key on another curve', 'ec', { namedCurve: 'secp384r1' }],
+    ]) {
+        it(`rejects ${name} as a usage error`, async () => {
+            const cwd = tempDir({ 'dist/index.html': 'index', 'ngsw-config.json': config, 'key.pem': pem(type, options).privateKey });
+            const { code, stderr } = await runCli(['--dist', 'dist', '--signing-key', 'key.pem', '--dry-run'], { cwd });
+            assert.equal(code, 2);
+            assert.match(stderr, /must be an EC private key on the P-256 \(prime256v1\) curve/);
+        });
+    }
+});
@@ -0,0 +1,71 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { lintConfig } from '../../fesm2022/config.mjs';
+const files = ['/index.html', '/main.js', '/styles.css', '/assets/logo.png', '/ngsw-worker.js', '/ngsw.json'];
+const filesystem = { list: async () => files.slice() };
+function lint(config, baseHref) {
+    return lintConfig({ index: '/index.html', ...config }, filesystem, baseHref);
+}
+function paths(warnings) {
+    return warnings.map(warning => warning.path);
+}
+const app = { name: 'app', resources: { files: ['/index.html', '/*.js', '/*.css'] } };
+const assets = { name: 'assets', installMode: 'lazy', resources: { files: ['/assets/**'] } };
+describe('lintConfig', () => {
+    it('does not warn about a configuration that caches every file once', async () => {
+        assert.deepEqual(await lint({ assetGroups: [app, assets] }), []);
+    });
+    it('warns about globs that match no file', async () => {
+        const warnings = await lint({ assetGroups: [app, { ...assets, resources: { files: ['/assets/**', '/fonts/**'] } }] });
+        assert.deepEqual(paths(warnings), ['$.assetGroups[1].resources.files[1]']);
+        assert.match(warnings[0].message, /'\/fonts\/\*\*' does not match any file/);
+    });
+    it('warns about globs shadowed by an earlier group', async () => {
+        const warnings = await lint({ assetGroups: [app, { ...assets, resources: { files: ['/assets/**', '/*.js'] } }] });
+        assert.deepEqual(paths(warnings), ['$.assetGroups[1].resources.files[1]']);
+        assert.match(warnings[0].message, /only matches files already claimed by asset group 'app'/);
+        assert.match(warnings[0].suggestion, /move asset group 'assets' before asset group 'app'/);
+    });
+    it('warns about groups that never cache anything', async () => {
+        const warnings = await lint({ assetGroups: [app, assets, { name: 'again', resources: { files: ['/main.js'] } }] });
+        assert.deepEqual(paths(warnings), ['$.assetGroups[2].resources.files[0]', '$.assetGroups[2]']);
+        assert.match(warnings[1].message, /Asset group 'again' does not claim any file or URL/);
+    });
+    it('does not warn about groups that only cache URLs', async () => {
+        const cdn = { name: 'cdn', resources: { urls: ['https://fonts.example.com/**'] } };
+        assert.deepEqual(await lint({ assetGroups: [app, assets, cdn] }), []);
+    });
+    it('warns about files cached by no group, except the service worker files', async () => {
+        const warnings = await lint({ assetGroups: [app] });
+        assert.deepEqual(warnings.map(warning => warning.value), ['/assets/logo.png']);
+        assert.equal(warnings[0].path, '$.assetGroups');
+    });
+    it('warns about a missing index', async () => {
+        const warnings = await lint({ index: '/app.html', assetGroups: [app, assets] });
+        assert.deepEqual(paths(warnings), ['$.index']);
+        assert.match(warnings[0].message, /'\/app\.html' does not exist/);
+    });
+    it('warns about an index that is not cached', async () => {
+        const warnings = await lint({ assetGroups: [{ ...app, resources: { files: ['/*.js', '/*.css'] } }, assets] });
+        assert.deepEqual(paths(warnings), ['$.assetGroups', '$.index']);
+        assert.match(warnings[1].message, /is not cached by any asset group/);
+    });
+    it('warns about an index that is cached lazily', async () => {
+        const warnings = await lint({ assetGroups: [{ ...app, installMode: 'lazy' }, assets] });
+        assert.deepEqual(paths(warnings), ['$.index']);
+        assert.match(warnings[0].message, /cached lazily by asset group 'app'/);
+    });
+    it('warns about data group URLs that match asset files', async () => {
+        const dataGroups = [{ name: 'api', urls: ['/api/**', '/assets/**'], cacheConfig: { maxSize: 1, maxAge: '1d' } }];
+        const warnings = await lint({ assetGroups: [app, assets], dataGroups }, '/app/');
+        assert.deepEqual(paths(warnings), ['$.dataGroups[0].urls[1]']);
+        assert.match(warnings[0].message, /also matches asset files \('\/assets\/logo\.png'\)/);
+    });
+});
@@ -0,0 +1,39 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { Generator } from '../../fesm2022/config.mjs';
+const files = { '/index.html': 'index', '/main.js': 'main code', '/unused.txt': 'unused' };
+const config = {
+    index: '/index.html',
+    assetGroups: [{ name: 'app', resources: { files: ['/index.html', '/main.js'] } }],
+};
+function filesystem(withSizes) {
+    const fs = {
+        list: async () => Object.keys(files),
+        read: async (file) => files[file],
+        hash: async (file) => `hash of ${file}`,
+        write: async () => { },
+    };
+    if (withSizes) {
+        fs.size = async (file) => Buffer.byteLength(files[file]);
+    }
+    return fs;
+}
+describe('manifest size table', () => {
+    it('records the size of every matched file', async () => {
+        const manifest = await new Generator(filesystem(true), '/base/').process(config);
+        assert.deepEqual(manifest.sizeTable, { '/base/index.html': 5, '/base/main.js': 9 });
+        assert.deepEqual(Object.keys(manifest.sizeTable), Object.keys(manifest.hashTable));
+    });
+    it('omits the size table when the filesystem cannot provide sizes', async () => {
+        const manifest = await new Generator(filesystem(false), '/').process(config);
+        assert.equal(manifest.sizeTable, undefined);
+        assert.equal('sizeTable' in JSON.parse(JSON.stringify(manifest)), false);
+    });
+});
@@ -0,0 +1,137 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { describe, it } from 'node:test';
+import { validateConfig } from '../../fesm2022/config.mjs';
+const schema = JSON.parse(readFileSync(new URL('../../config/schema.json', import.meta.url), 'utf8'));
+// A valid value for `node`, with every optional property set. Strings double as durations.
+function sample(node) {
+    if (node.enum !== undefined) {
+        return node.enum[0];
+    }
+    switch (node.type) {
+        case 'string':
+            return '1d';
+        case 'boolean':
+            return true;
+        case 'integer':
+            return Math.max(node.minimum ?? 1, 1);
+        case 'number':
+            return node.maximum ?? 1;
+        case 'array':
+            return [sample(node.items)];
+        case 'object':
+            return Object.fromEntries(Object.entries(node.properties ?? {}).map(([name, prop]) => [name, sample(prop)]));
+    }
+    throw new Error(`Unexpected schema node ${JSON.stringify(node)}`);
+}
+// Every property declared in the schema, with its JSON path in `sample(schema)` and its parent.
+function properties(node, path = '$', parent = null) {
+    const found = parent === null ? [] : [{ path, node, parent }];
+    if (node.type === 'array') {
+        return [...found, ...properties(node.items, `${path}[0]`)];
+    }
+    for (const [name, prop] of Object.entries(node.properties ?? {})) {
+        found.push(...properties(prop, `${path}.${name}`, node));
+    }
+    return found;
+}
+// Every object in the schema that declares its properties, with its JSON path in `sample(schema)`.
+function objects(node, path = '$') {
+    if (node.type === 'array') {
+        return objects(node.items, `${path}[0]`);
+    }
+    if (node.type !== 'object' || node.properties === undefined) {
+        return [];
+    }
+    return [{ path, node }, ...Object.entries(node.properties).flatMap(([name, prop]) => objects(prop, `${path}.${name}`))];
+}
+function segments(path) {
+    return path.slice(1).match(/\.[^.[]+|\[\d+\]/g).map(segment => segment.startsWith('.') ? segment.slice(1) : Number(segment.slice(1, -1)));
+}
+// Validates `sample(schema)` with the property at `path` replaced by `value`, or removed.
+function validateWith(path, value, remove = false) {
+    const config = sample(schema);
+    const keys = segments(path);
+    const owner = keys.slice(0, -1).reduce((obj, key) => obj[key], config);
+    if (remove) {
+        delete owner[keys[keys.length - 1]];
+    }
+    else {
+        owner[keys[keys.length - 1]] = value;
+    }
+    return validateConfig(config);
+}
+function issuesAt(issues, path) {
+    return issues.filter(issue => issue.path === path);
+}
+const wrongType = { string: 42, boolean: 'yes', integer: 'one', number: 'one', array: 'list', object: 'map' };
+const all = properties(schema);
+describe('validateConfig and config/schema.json', () => {
+    it('knows every property declared in the schema', () => {
+        assert.deepEqual(validateConfig(sample(schema)), []);
+    });
+    for (const { path, node, parent } of all) {
+        describe(path, () => {
+            if (node.enum !== undefined) {
+                it('accepts exactly the values listed in the schema', () => {
+                    node.enum.forEach(value => assert.deepEqual(validateWith(path, value), []));
+                    const [issue] = issuesAt(validateWith(path, 'not-a-listed-value'), path);
+                    assert.equal(issue.message, `Expected one of ${node.enum.map(v => `'${v}'`).join(', ')}.`);
+                });
+            }
+            else {
+                it(`requires a value of type '${node.type}'`, () => {
+                    assert.equal(issuesAt(validateWith(path, wrongType[node.type]), path).length, 1);
+                });
+            }
+            if (node.type === 'integer') {
+                it('rejects fractions', () => {
+                    assert.equal(issuesAt(validateWith(path, 1.5), path).length, 1);
+                });
+            }
+            if (node.type === 'number') {
+                it('accepts fractions', () => {
+                    assert.deepEqual(validateWith(path, (node.maximum ?? 1) / 2), []);
+                });
+            }
+            for (const [keyword, invalid, valid] of [
+                ['minimum', node.minimum - 1, node.minimum],
+                ['exclusiveMinimum', node.exclusiveMinimum, undefined],
+                ['maximum', node.maximum + 1, node.maximum],
+            ]) {
+                if (node[keyword] !== undefined) {
+                    it(`enforces '${keyword}'`, () => {
+                        assert.equal(issuesAt(validateWith(path, invalid), path).length, 1);
+                        if (valid !== undefined) {
+                            assert.deepEqual(validateWith(path, valid), []);
+                        }
+                    });
+                }
+            }
+            if (node.uniqueItems) {
+                it('rejects duplicate items', () => {
+                    const item = sample(node.items);
+                    assert.equal(issuesAt(validateWith(path, [item, item]), `${path}[1]`).length, 1);
+                });
+            }
+            const required = (parent.required ?? []).includes(segments(path).pop());
+            it(required ? 'is required' : 'is optional', () => {
+                const issues = issuesAt(validateWith(path, undefined, true), path);
+                assert.equal(issues.length, required ? 1 : 0);
+            });
+        });
+    }
+    it('rejects properties the schema does not declare', () => {
+        for (const { path, node } of objects(schema)) {
+            assert.equal(node.additionalProperties, false, path);
+            assert.equal(issuesAt(validateWith(`${path}.undeclared`, true), `${path}.undeclared`).length, 1, path);
+        }
+    });
+});
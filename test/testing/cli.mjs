@@ -0,0 +1,36 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { execFile } from 'node:child_process';
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+const CLI = fileURLToPath(new URL('../../ngsw-config.js', import.meta.url));
+const tempDirs = [];
+process.on('exit', () => tempDirs.forEach(dir => rmSync(dir, { recursive: true, force: true })));
+/**
+ * Runs the `ngsw-config` CLI in `cwd` and resolves with its exit code and output.
+ */
+export function runCli(args, { cwd, env = {} } = {}) {
+    return new Promise(resolve => {
+        const child = execFile(process.execPath, [CLI, ...args], { cwd, env: { ...process.env, NGSW_SIGNING_KEY: '', ...env }, timeout: 30000 }, (err, stdout, stderr) => resolve({ code: child.exitCode, stdout, stderr }));
+    });
+}
+/**
+ * Writes `files` into a new temporary directory, removed when the process exits, and returns its
+ * path.
+ */
+export function tempDir(files) {
+    const dir = mkdtempSync(join(tmpdir(), 'ngsw-config-'));
+    tempDirs.push(dir);
+    for (const [file, contents] of Object.entries(files)) {
+        mkdirSync(dirname(join(dir, file)), { recursive: true });
+        writeFileSync(join(dir, file), typeof contents === 'string' ? contents : JSON.stringify(contents));
+    }
+    return dir;
+}
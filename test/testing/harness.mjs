@@ -0,0 +1,388 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { createHash } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { Generator } from '../../fesm2022/config.mjs';
+const WORKER_SOURCE = readFileSync(new URL('../../ngsw-worker.js', import.meta.url), 'utf8');
+export const SCOPE_URL = 'http://localhost/';
+/**
+ * A `Cache` following the matching rules of the Cache API, including `Vary` handling and the
+ * restriction to `GET` requests.
+ */
+export class MockCache {
+    constructor(toRequest) {
+        this.toRequest = toRequest;
+        this.entries = [];
+    }
+    async match(request, options) {
+        const req = this.toRequest(request);
+        const entry = this.entries.find(entry => entryMatches(entry, req, options));
+        return entry !== undefined ? entry.res.clone() : undefined;
+    }
+    async put(request, res) {
+        const req = this.toRequest(request);
+        if (req.method !== 'GET') {
+            throw new TypeError(`Cache.put: request method '${req.method}' is unsupported`);
+        }
+        this.entries = this.entries.filter(entry => !entryMatches(entry, req));
+        this.entries.push({ req, res });
+    }
+    async delete(request, options) {
+        const req = this.toRequest(request);
+        const before = this.entries.length;
+        this.entries = this.entries.filter(entry => !entryMatches(entry, req, options));
+        return this.entries.length !== before;
+    }
+    async keys(request, options) {
+        const entries = request === undefined ?
+            this.entries :
+            this.entries.filter(entry => entryMatches(entry, this.toRequest(request), options));
+        return entries.map(entry => entry.req);
+    }
+}
+function entryMatches(entry, req, options = {}) {
+    if (!options.ignoreMethod && req.method !== 'GET') {
+        return false;
+    }
+    const strip = (url) => {
+        const parsed = new URL(url);
+        parsed.hash = '';
+        if (options.ignoreSearch) {
+            parsed.search = '';
+        }
+        return parsed.href;
+    };
+    if (strip(entry.req.url) !== strip(req.url)) {
+        return false;
+    }
+    const vary = entry.res.headers.get('Vary');
+    if (options.ignoreVary || vary === null) {
+        return true;
+    }
+    return vary.split(',').map(name => name.trim()).every(name => name !== '*' && entry.req.headers.get(name) === req.headers.get(name));
+}
+export class MockCacheStorage {
+    constructor(toRequest) {
+        this.toRequest = toRequest;
+        this.caches = new Map();
+    }
+    async open(name) {
+        if (!this.caches.has(name)) {
+            this.caches.set(name, new MockCache(this.toRequest));
+        }
+        return this.caches.get(name);
+    }
+    async has(name) {
+        return this.caches.has(name);
+    }
+    async delete(name) {
+        return this.caches.delete(name);
+    }
+    async keys() {
+        return Array.from(this.caches.keys());
+    }
+    async match(request, options) {
+        for (const cache of this.caches.values()) {
+            const res = await cache.match(request, options);
+            if (res !== undefined) {
+                return res;
+            }
+        }
+        return undefined;
+    }
+}
+/**
+ * A clock and timer queue that only moves when the test advances it.
+ */
+export class MockClock {
+    constructor(now = Date.UTC(2023, 0, 1)) {
+        this.now = now;
+        this.timers = [];
+        this.nextId = 1;
+        const clock = this;
+        this.Date = class extends Date {
+            constructor(...args) {
+                if (args.length === 0) {
+                    super(clock.now);
+                }
+                else {
+                    super(...args);
+                }
+            }
+            static now() {
+                return clock.now;
+            }
+        };
+        this.setTimeout = (fn, ms = 0) => {
+            const timer = { id: this.nextId++, at: this.now + ms, fn };
+            this.timers.push(timer);
+            return timer.id;
+        };
+        this.clearTimeout = (id) => {
+            this.timers = this.timers.filter(timer => timer.id !== id);
+        };
+    }
+    get pendingTimers() {
+        return this.timers.length;
+    }
+    /**
+     * Moves the clock forward by `ms`, firing due timers in order and letting the promise chains
+     * they start run in between.
+     */
+    async advance(ms) {
+        const target = this.now + ms;
+        await flush();
+        while (true) {
+            const due = this.timers.filter(timer => timer.at <= target).sort((a, b) => a.at - b.at)[0];
+            if (due === undefined) {
+                break;
+            }
+            this.timers = this.timers.filter(timer => timer !== due);
+            this.now = Math.max(this.now, due.at);
+            due.fn();
+            await flush();
+        }
+        this.now = target;
+        await flush();
+    }
+}
+/**
+ * Lets pending promise chains, including Fetch API body reads, run to completion.
+ */
+export async function flush(rounds = 10) {
+    for (let i = 0; i < rounds; i++) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+}
+/**
+ * An HTTP server stand-in. Serves static files and the generated manifest, and delegates
+ * everything else to a handler that tests can replace.
+ */
+export class MockServer {
+    constructor(files = {}) {
+        this.files = files;
+        this.manifest = null;
+        this.requests = [];
+        this.online = true;
+        this.handler = () => new Response('Not Found', { status: 404 });
+    }
+    async fetch(req, init = {}) {
+        const url = new URL(req.url);
+        const { credentials, cache, redirect } = req;
+        this.requests.push({ url: req.url, method: req.method, headers: new Headers(req.headers), signal: init.signal, credentials, cache, redirect });
+        if (!this.online) {
+            throw new TypeError('Failed to fetch');
+        }
+        if (url.origin === new URL(SCOPE_URL).origin && url.pathname === '/ngsw.json' && this.manifest !== null) {
+            return new Response(JSON.stringify(this.manifest), { headers: { 'Content-Type': 'application/json' } });
+        }
+        if (url.origin === new URL(SCOPE_URL).origin && this.files.hasOwnProperty(url.pathname)) {
+            return new Response(this.files[url.pathname]);
+        }
+        return this.handler(req, init);
+    }
+    requestsFor(path) {
+        return this.requests.filter(req => new URL(req.url).pathname === path);
+    }
+    clearRequests() {
+        this.requests = [];
+    }
+}
+/**
+ * Generates the manifest for `files` with the real `Generator`, the way the CLI would.
+ */
+export async function generateManifest(files, config) {
+    const fs = {
+        list: async () => Object.keys(files),
+        read: async (file) => files[file],
+        hash: async (file, algorithm = 'sha1') => createHash(algorithm).update(files[file]).digest('hex'),
+        size: async (file) => Buffer.byteLength(files[file]),
+        write: async () => { },
+    };
+    return new Generator(fs, '/').process(config);
+}
+class ExtendableEvent {
+    constructor(harness, type) {
+        this.harness = harness;
+        this.type = type;
+    }
+    waitUntil(promise) {
+        this.harness.track(promise);
+    }
+}
+/**
+ * Runs `ngsw-worker.js` against a mock `ServiceWorkerGlobalScope`.
+ */
+export class WorkerHarness {
+    constructor({ server, clock = new MockClock(), cookieStore, storageEstimate, scriptUrl = `${SCOPE_URL}ngsw-worker.js` } = {}) {
+        this.server = server;
+        this.clock = clock;
+        this.pending = new Set();
+        this.errors = [];
+        this.listeners = new Map();
+        this.syncTags = [];
+        const Request = class extends globalThis.Request {
+            constructor(input, init) {
+                super(typeof input === 'string' ? new URL(input, SCOPE_URL).href : input, init);
+            }
+        };
+        this.Request = Request;
+        this.Client = class {
+        };
+        const harness = this;
+        this.MockClient = class extends this.Client {
+            constructor(id) {
+                super();
+                this.id = id;
+                this.messages = [];
+            }
+            postMessage(msg) {
+                this.messages.push(msg);
+            }
+        };
+        this.clients = new Map();
+        this.caches = new MockCacheStorage(req => req instanceof globalThis.Request ? req : new Request(req));
+        this.scope = {
+            registration: {
+                scope: SCOPE_URL,
+                active: null,
+                sync: { register: async (tag) => { this.syncTags.push(tag); } },
+                unregister: async () => true,
+                showNotification: async () => { },
+            },
+            clients: {
+                matchAll: async () => Array.from(this.clients.values()),
+                get: async (id) => this.clients.get(id),
+                claim: async () => { },
+                openWindow: async () => null,
+            },
+            addEventListener: (type, listener) => this.listeners.set(type, listener),
+            fetch: (req, init) => harness.server.fetch(req instanceof globalThis.Request ? req : new Request(req), init),
+            skipWaiting: async () => { },
+            caches: this.caches,
+            cookieStore,
+            location: new URL(scriptUrl),
+        };
+        const navigator = storageEstimate !== undefined ? { storage: { estimate: storageEstimate } } : {};
+        new Function('self', 'Date', 'setTimeout', 'clearTimeout', 'Request', 'Client', 'navigator', WORKER_SOURCE)(this.scope, clock.Date, clock.setTimeout, clock.clearTimeout, Request, this.Client, navigator);
+    }
+    track(promise) {
+        const tracked = Promise.resolve(promise).catch(err => {
+            this.errors.push(err);
+        }).finally(() => this.pending.delete(tracked));
+        this.pending.add(tracked);
+    }
+    client(id = 'default') {
+        if (!this.clients.has(id)) {
+            this.clients.set(id, new this.MockClient(id));
+        }
+        return this.clients.get(id);
+    }
+    /**
+     * Dispatches a `fetch` event and resolves with the response the worker answered with, or with
+     * the network response if the worker let the request through.
+     */
+    async fetch(input, init, clientId = 'default') {
+        const request = input instanceof globalThis.Request ? input : new this.Request(input, init);
+        this.client(clientId);
+        let response;
+        const event = Object.assign(new ExtendableEvent(this, 'fetch'), {
+            request,
+            clientId,
+            resultingClientId: null,
+            respondWith: (res) => {
+                response = Promise.resolve(res);
+            },
+        });
+        this.listeners.get('fetch')(event);
+        return response !== undefined ? response : this.server.fetch(request);
+    }
+    /**
+     * Sends a message to the worker and resolves once the worker has handled it.
+     */
+    async message(data, clientId = 'default') {
+        const source = this.client(clientId);
+        const event = Object.assign(new ExtendableEvent(this, 'message'), { data, source });
+        const before = new Set(this.pending);
+        this.listeners.get('message')(event);
+        await Promise.all(Array.from(this.pending).filter(p => !before.has(p)));
+        return source.messages.find(msg => msg.type === 'OPERATION_COMPLETED' && msg.nonce === data.nonce);
+    }
+    async sync(tag) {
+        const event = Object.assign(new ExtendableEvent(this, 'sync'), { tag });
+        const before = new Set(this.pending);
+        this.listeners.get('sync')(event);
+        await Promise.all(Array.from(this.pending).filter(p => !before.has(p)));
+    }
+    /**
+     * Waits for background work (`event.waitUntil()`) that does not depend on a timer.
+     */
+    async settle() {
+        await flush(20);
+    }
+    /**
+     * Runs the tasks the worker scheduled for when it is idle.
+     */
+    async idle() {
+        await this.clock.advance(30000);
+    }
+    /**
+     * Returns the cache whose name ends with `suffix`.
+     */
+    cache(suffix) {
+        const name = Array.from(this.caches.caches.keys()).find(name => name.endsWith(suffix));
+        return name !== undefined ? this.caches.caches.get(name) : undefined;
+    }
+    /**
+     * Reads `key` from the worker's `CacheDatabase` table whose name ends with `table`, or returns
+     * `undefined` if there is no such entry.
+     */
+    async readTable(table, key) {
+        const cache = this.cache(`:db:${table}`);
+        const res = cache !== undefined ? await cache.match(`/${key}`) : undefined;
+        return res !== undefined ? res.json() : undefined;
+    }
+    /**
+     * Returns the debug state page, which includes the errors the worker logged.
+     */
+    async debugState() {
+        return (await this.fetch('/ngsw/state')).text();
+    }
+    messages(type, clientId = 'default') {
+        return this.client(clientId).messages.filter(msg => msg.type === type);
+    }
+}
+/**
+ * Sets up a worker serving an app made of `files`, configured with `config`, and initializes it.
+ */
+export async function setupWorker({ files = { '/index.html': 'index' }, config, ...options } = {}) {
+    const server = new MockServer(files);
+    server.manifest = await generateManifest(files, appConfig(files, config));
+    const harness = new WorkerHarness({ server, ...options });
+    await harness.fetch('/index.html');
+    await harness.settle();
+    server.clearRequests();
+    return harness;
+}
+/**
+ * Deploys a new version of the app made of `files` and has the worker install it.
+ */
+export async function updateApp(harness, files, config) {
+    harness.server.files = files;
+    harness.server.manifest = await generateManifest(files, appConfig(files, config));
+    const result = await harness.message({ action: 'CHECK_FOR_UPDATES', nonce: 1 });
+    harness.server.clearRequests();
+    return result;
+}
+function appConfig(files, config) {
+    return {
+        index: '/index.html',
+        assetGroups: [{ name: 'app', resources: { files: Object.keys(files) } }],
+        ...config,
+    };
+}
@@ -0,0 +1,77 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { setupWorker } from '../testing/harness.mjs';
+const files = { '/index.html': 'index', '/lazy.js': 'lazy' };
+function config(fetchConfig) {
+    return {
+        assetGroups: [
+            { name: 'app', resources: { files: ['/index.html'] } },
+            { name: 'lazy', installMode: 'lazy', resources: { files: ['/lazy.js'] }, fetchConfig },
+        ],
+    };
+}
+// Serves `/lazy.js` with the given responses in turn, then 404s; `null` never responds and fails when
+// aborted.
+async function setup(fetchConfig, responses) {
+    const harness = await setupWorker({ files, config: config(fetchConfig) });
+    harness.server.files = { '/index.html': 'index' };
+    harness.server.handler = (req, init) => {
+        const next = responses.length > 0 ? responses.shift() : new Response('', { status: 404 });
+        if (next !== null) {
+            return next;
+        }
+        return new Promise((resolve, reject) => init.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError'))));
+    };
+    return harness;
+}
+describe('asset fetchConfig', () => {
+    it('fails a request that exceeds the timeout', async () => {
+        const harness = await setup({ timeout: '7s' }, [null]);
+        const res = harness.fetch('/lazy.js').catch(err => err);
+        await harness.clock.advance(7000);
+        assert.match((await res).message, /returned response 504 Gateway Timeout/);
+        assert.equal(harness.server.requestsFor('/lazy.js')[0].signal.aborted, true);
+    });
+    it('clears the timeout once the response arrived', async () => {
+        const harness = await setup({ timeout: '7s' }, [new Response('lazy')]);
+        const start = harness.clock.now;
+        assert.equal(await (await harness.fetch('/lazy.js')).text(), 'lazy');
+        assert.equal(harness.clock.timers.some(timer => timer.at === start + 7000), false);
+        await harness.clock.advance(7000);
+        assert.equal(harness.server.requestsFor('/lazy.js')[0].signal.aborted, false);
+    });
+    it('retries transient failures with exponential backoff', async () => {
+        const harness = await setup({ maxRetries: 2, retryDelay: '1s' }, [
+            new Response('', { status: 503 }),
+            new Response('', { status: 429 }),
+            new Response('lazy'),
+        ]);
+        const res = harness.fetch('/lazy.js');
+        await harness.clock.advance(999);
+        assert.equal(harness.server.requestsFor('/lazy.js').length, 1);
+        await harness.clock.advance(1);
+        assert.equal(harness.server.requestsFor('/lazy.js').length, 2);
+        await harness.clock.advance(2000);
+        assert.equal(harness.server.requestsFor('/lazy.js').length, 3);
+        assert.equal(await (await res).text(), 'lazy');
+    });
+    it('retries requests that timed out', async () => {
+        const harness = await setup({ timeout: '7s', maxRetries: 1, retryDelay: '1s' }, [null, new Response('lazy')]);
+        const res = harness.fetch('/lazy.js');
+        await harness.clock.advance(8000);
+        assert.equal(await (await res).text(), 'lazy');
+    });
+    it('does not retry other failures', async () => {
+        const harness = await setup({ maxRetries: 2 }, [new Response('', { status: 404 })]);
+        assert.equal((await harness.fetch('/lazy.js')).status, 404);
+        // One request from the asset group, and one from the driver falling back to the network.
+        assert.equal(harness.server.requestsFor('/lazy.js').length, 2);
+    });
+});
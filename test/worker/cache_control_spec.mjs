@@ -0,0 +1,68 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { setupWorker } from '../testing/harness.mjs';
+const config = {
+    dataGroups: [{
+            name: 'api',
+            urls: ['/api/**'],
+            cacheConfig: { maxSize: 10, maxAge: '1h', strategy: 'performance', honorCacheControl: true },
+        }],
+};
+async function isCached(harness, url) {
+    harness.server.clearRequests();
+    await harness.fetch(url);
+    return harness.server.requests.length === 0;
+}
+describe('honorCacheControl', () => {
+    it('does not store no-store responses', async () => {
+        const harness = await setupWorker({ config });
+        harness.server.handler = () => new Response('data', { headers: { 'Cache-Control': 'no-store' } });
+        await harness.fetch('/api/data');
+        assert.equal(await isCached(harness, '/api/data'), false);
+    });
+    it('stores private responses', async () => {
+        const harness = await setupWorker({ config });
+        harness.server.handler = () => new Response('data', { headers: { 'Cache-Control': 'private, max-age=60' } });
+        await harness.fetch('/api/data');
+        assert.equal(await isCached(harness, '/api/data'), true);
+    });
+    it('uses max-age, minus Age, as the freshness lifetime', async () => {
+        const harness = await setupWorker({ config });
+        harness.server.handler = () => new Response('data', { headers: { 'Cache-Control': 'max-age=60', 'Age': '20' } });
+        await harness.fetch('/api/data');
+        await harness.clock.advance(30000);
+        assert.equal(await isCached(harness, '/api/data'), true);
+        await harness.clock.advance(15000);
+        assert.equal(await isCached(harness, '/api/data'), false);
+    });
+    it('caps the freshness lifetime at the group maxAge', async () => {
+        const harness = await setupWorker({ config });
+        harness.server.handler = () => new Response('data', { headers: { 'Cache-Control': 'max-age=86400' } });
+        await harness.fetch('/api/data');
+        await harness.clock.advance(2 * 60 * 60 * 1000);
+        assert.equal(await isCached(harness, '/api/data'), false);
+    });
+    it('takes the new max-age from a 304 response', async () => {
+        const harness = await setupWorker({
+            config: { dataGroups: [{ ...config.dataGroups[0], cacheConfig: { ...config.dataGroups[0].cacheConfig, strategy: 'staleWhileRevalidate' } }] },
+        });
+        harness.server.handler = () => new Response('data', { headers: { 'Cache-Control': 'max-age=60', 'ETag': '"1"' } });
+        await harness.fetch('/api/data');
+        await harness.clock.advance(30000);
+        harness.server.handler = (req) => req.headers.get('If-None-Match') === '"1"' ?
+            new Response(null, { status: 304, headers: { 'Cache-Control': 'max-age=600' } }) :
+            new Response('changed');
+        assert.equal(await (await harness.fetch('/api/data')).text(), 'data');
+        await harness.settle();
+        await harness.clock.advance(120000);
+        harness.server.handler = () => new Promise(() => { });
+        assert.equal(await (await harness.fetch('/api/data')).text(), 'data');
+    });
+});
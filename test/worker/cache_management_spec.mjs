@@ -0,0 +1,59 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { setupWorker } from '../testing/harness.mjs';
+function group(name) {
+    return { name, urls: [`/${name}/**`], cacheConfig: { maxSize: 10, maxAge: '1h', strategy: 'performance' }, varyHeaders: ['Accept'] };
+}
+async function setup() {
+    const harness = await setupWorker({ config: { dataGroups: [group('users'), group('posts')] } });
+    harness.server.handler = (req) => new Response(`${new URL(req.url).pathname}!`);
+    await harness.fetch('/users/1', { headers: { Accept: 'application/json' } });
+    await harness.fetch('/users/1', { headers: { Accept: 'text/plain' } });
+    await harness.fetch('/users/2');
+    await harness.fetch('/posts/1');
+    harness.server.clearRequests();
+    return harness;
+}
+async function isCached(harness, url, headers) {
+    harness.server.clearRequests();
+    await harness.fetch(url, { headers });
+    return harness.server.requests.length === 0;
+}
+describe('data cache management messages', () => {
+    it('lists the data groups with their entry count and size', async () => {
+        const harness = await setup();
+        const { result } = await harness.message({ action: 'LIST_DATA_GROUPS', nonce: 1 });
+        assert.deepEqual(result, [
+            { name: 'users', entries: 3, bytes: 27 },
+            { name: 'posts', entries: 1, bytes: 9 },
+        ]);
+    });
+    it('deletes every cached variant of a URL', async () => {
+        const harness = await setup();
+        assert.equal((await harness.message({ action: 'DELETE_DATA_URL', url: '/users/1', nonce: 1 })).result, true);
+        assert.equal((await harness.message({ action: 'DELETE_DATA_URL', url: '/users/1', nonce: 2 })).result, false);
+        assert.equal(await isCached(harness, '/users/1', { Accept: 'application/json' }), false);
+        assert.equal(await isCached(harness, '/users/1', { Accept: 'text/plain' }), false);
+        assert.equal(await isCached(harness, '/users/2'), true);
+    });
+    it('clears a single data group by name', async () => {
+        const harness = await setup();
+        assert.equal((await harness.message({ action: 'CLEAR_DATA_GROUPS', group: 'users', nonce: 1 })).result, true);
+        assert.equal(await isCached(harness, '/users/2'), false);
+        assert.equal(await isCached(harness, '/posts/1'), true);
+        assert.equal((await harness.message({ action: 'CLEAR_DATA_GROUPS', group: 'missing', nonce: 2 })).result, false);
+    });
+    it('clears all data groups without a name', async () => {
+        const harness = await setup();
+        assert.equal((await harness.message({ action: 'CLEAR_DATA_GROUPS', nonce: 1 })).result, true);
+        const { result } = await harness.message({ action: 'LIST_DATA_GROUPS', nonce: 2 });
+        assert.deepEqual(result.map(group => group.entries), [0, 0]);
+    });
+});
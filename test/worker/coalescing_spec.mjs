@@ -0,0 +1,108 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { setupWorker } from '../testing/harness.mjs';
+function config(cacheConfig) {
+    return {
+        dataGroups: [{
+                name: 'api',
+                urls: ['/api/**'],
+                cacheConfig: { maxSize: 10, maxAge: '1m', strategy: 'performance', ...cacheConfig },
+            }],
+    };
+}
+// Serves responses that only complete when `release()` is called, and fail when aborted.
+function serveDeferred(harness) {
+    const pending = [];
+    harness.server.handler = (req, init) => new Promise((resolve, reject) => {
+        pending.push(() => resolve(new Response('data')));
+        if (init.signal !== undefined) {
+            init.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+        }
+    });
+    return () => pending.splice(0).forEach(release => release());
+}
+// Caches a response that has expired but can still be served by `staleIfError`, and defers the network.
+async function setupStale(cacheConfig) {
+    const harness = await setupWorker({ config: config({ staleIfError: '10m', ...cacheConfig }) });
+    harness.server.handler = () => new Response('v1');
+    await harness.fetch('/api/data');
+    await harness.clock.advance(2 * 60 * 1000);
+    serveDeferred(harness);
+    harness.server.clearRequests();
+    return harness;
+}
+describe('request coalescing', () => {
+    it('shares one network request between concurrent requests for a URL', async () => {
+        const harness = await setupWorker({ config: config() });
+        const release = serveDeferred(harness);
+        const first = harness.fetch('/api/data');
+        const second = harness.fetch('/api/data');
+        await harness.settle();
+        release();
+        assert.deepEqual(await Promise.all([(await first).text(), (await second).text()]), ['data', 'data']);
+        assert.equal(harness.server.requestsFor('/api/data').length, 1);
+    });
+    it('aborts a timed-out request when abortOnTimeout is set and a stale response was served', async () => {
+        const harness = await setupStale({ timeout: '1s', abortOnTimeout: true });
+        const res = harness.fetch('/api/data');
+        await harness.clock.advance(1000);
+        assert.equal(await (await res).text(), 'v1');
+        assert.equal(harness.server.requestsFor('/api/data')[0].signal.aborted, true);
+    });
+    it('lets a timed-out request complete and caches its response when nothing could be served instead', async () => {
+        const harness = await setupWorker({ config: config({ timeout: '1s', abortOnTimeout: true }) });
+        const release = serveDeferred(harness);
+        const res = harness.fetch('/api/data');
+        await harness.clock.advance(1000);
+        assert.equal((await res).status, 504);
+        assert.equal(harness.server.requestsFor('/api/data')[0].signal.aborted, false);
+        release();
+        await harness.settle();
+        assert.equal(await (await harness.fetch('/api/data')).text(), 'data');
+        assert.equal(harness.server.requestsFor('/api/data').length, 1);
+    });
+    it('does not abort a timed-out request that another timed request still waits for', async () => {
+        const harness = await setupStale({ timeout: '1s', abortOnTimeout: true });
+        const first = harness.fetch('/api/data');
+        await harness.clock.advance(500);
+        const second = harness.fetch('/api/data');
+        await harness.clock.advance(500);
+        assert.equal(await (await first).text(), 'v1');
+        assert.equal(harness.server.requestsFor('/api/data')[0].signal.aborted, false);
+        await harness.clock.advance(500);
+        assert.equal(await (await second).text(), 'v1');
+        assert.equal(harness.server.requestsFor('/api/data')[0].signal.aborted, true);
+    });
+    it('aborts a shared request once every timed request gave up, despite background refreshes', async () => {
+        const harness = await setupWorker({
+            config: config({ timeout: '1s', abortOnTimeout: true, refreshAhead: '30s', staleIfError: '10m' }),
+        });
+        harness.server.handler = () => new Response('v1');
+        await harness.fetch('/api/data');
+        serveDeferred(harness);
+        harness.server.clearRequests();
+        await harness.clock.advance(40000);
+        // Served from the cache, and refreshed ahead of expiry in the background.
+        assert.equal(await (await harness.fetch('/api/data')).text(), 'v1');
+        await harness.clock.advance(21000);
+        const res = harness.fetch('/api/data');
+        await harness.clock.advance(1000);
+        assert.equal(await (await res).text(), 'v1');
+        const requests = harness.server.requestsFor('/api/data');
+        assert.equal(requests.length, 1);
+        assert.equal(requests[0].signal.aborted, true);
+    });
+    it('logs failed network requests to the debug log', async () => {
+        const harness = await setupWorker({ config: config() });
+        harness.server.online = false;
+        assert.equal((await harness.fetch('/api/data')).status, 504);
+        assert.match(await harness.debugState(), /DataGroup\(api@1\)\.safeFetch\(http:\/\/localhost\/api\/data\)/);
+    });
+});
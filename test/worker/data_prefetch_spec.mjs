@@ -0,0 +1,77 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { flush, MockServer, setupWorker, updateApp, WorkerHarness, generateManifest } from '../testing/harness.mjs';
+const files = { '/index.html': 'index' };
+const config = {
+    index: '/index.html',
+    assetGroups: [{ name: 'app', resources: { files: ['/index.html'] } }],
+    dataGroups: [{
+            name: 'api',
+            urls: ['/api/**'],
+            cacheConfig: { maxSize: 10, maxAge: '1h', strategy: 'performance' },
+            prefetchUrls: ['/api/config'],
+        }],
+};
+async function isCached(harness, url) {
+    harness.server.clearRequests();
+    await harness.fetch(url);
+    return harness.server.requests.length === 0;
+}
+async function install(handler) {
+    const server = new MockServer(files);
+    server.manifest = await generateManifest(files, config);
+    server.handler = handler;
+    const harness = new WorkerHarness({ server });
+    return { harness, response: harness.fetch('/index.html') };
+}
+describe('data prefetching', () => {
+    it('caches prefetchUrls in the background once the app is installed', async () => {
+        const { harness, response } = await install(() => new Response('config'));
+        assert.equal(await (await response).text(), 'index');
+        await harness.idle();
+        assert.equal(await isCached(harness, '/api/config'), true);
+    });
+    it('does not hold up the installation while prefetching', async () => {
+        const { harness, response } = await install(() => new Promise(() => { }));
+        const res = await Promise.race([response, flush(20).then(() => 'blocked')]);
+        assert.notEqual(res, 'blocked');
+        assert.equal(await res.text(), 'index');
+        // A prefetch that never completes does not keep other idle tasks from running.
+        await harness.idle();
+        await harness.idle();
+        assert.equal(harness.clock.pendingTimers, 0);
+    });
+    it('does not fail the installation when prefetching fails', async () => {
+        const { harness, response } = await install(() => new Response('error', { status: 500 }));
+        assert.equal(await (await response).text(), 'index');
+        await harness.idle();
+        assert.match(await harness.debugState(), /Failed to prefetch \/api\/config/);
+    });
+    it('does not hold up updates while prefetching', async () => {
+        const harness = await setupWorker({ files, config });
+        await harness.idle();
+        harness.server.handler = () => new Promise(() => { });
+        const result = await Promise.race([
+            updateApp(harness, { '/index.html': 'index v2' }, { ...config, appData: { version: 2 } }),
+            flush(20).then(() => 'blocked'),
+        ]);
+        assert.notEqual(result, 'blocked');
+        assert.equal(result.result, true);
+        assert.equal(harness.messages('VERSION_READY').length, 1);
+    });
+    it('prefetches data on demand', async () => {
+        const harness = await setupWorker({ files, config: { ...config, dataGroups: [{ ...config.dataGroups[0], prefetchUrls: [] }] } });
+        harness.server.handler = () => new Response('data');
+        const result = await harness.message({ action: 'PREFETCH_DATA', urls: ['/api/a', '/api/b'], nonce: 3 });
+        assert.equal(result.result, true);
+        assert.equal(await isCached(harness, '/api/a'), true);
+        assert.equal(await isCached(harness, '/api/b'), true);
+    });
+});
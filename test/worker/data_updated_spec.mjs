@@ -0,0 +1,63 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { setupWorker } from '../testing/harness.mjs';
+const config = {
+    dataGroups: [{
+            name: 'api',
+            urls: ['/api/**'],
+            cacheConfig: { maxSize: 10, maxAge: '1h', strategy: 'staleWhileRevalidate' },
+        }],
+};
+describe('DATA_UPDATED notifications', () => {
+    it('notifies clients when a background refresh updated the cache', async () => {
+        const harness = await setupWorker({ config });
+        harness.client('other');
+        harness.server.handler = () => new Response('v1');
+        await harness.fetch('/api/data?page=1');
+        assert.deepEqual(harness.messages('DATA_UPDATED'), []);
+        harness.server.handler = () => new Response('v2');
+        await harness.fetch('/api/data?page=1');
+        await harness.settle();
+        const expected = [{ type: 'DATA_UPDATED', group: 'api', url: 'http://localhost/api/data?page=1' }];
+        assert.deepEqual(harness.messages('DATA_UPDATED'), expected);
+        assert.deepEqual(harness.messages('DATA_UPDATED', 'other'), expected);
+    });
+    it('does not notify clients when the background refresh failed', async () => {
+        const harness = await setupWorker({ config });
+        harness.server.handler = () => new Response('v1');
+        await harness.fetch('/api/data');
+        harness.server.handler = () => new Response('error', { status: 500 });
+        await harness.fetch('/api/data');
+        await harness.settle();
+        assert.deepEqual(harness.messages('DATA_UPDATED'), []);
+    });
+    it('does not notify clients when the response was revalidated with a 304', async () => {
+        const harness = await setupWorker({ config });
+        harness.server.handler = () => new Response('v1', { headers: { 'ETag': '"1"' } });
+        await harness.fetch('/api/data');
+        harness.server.handler = () => new Response(null, { status: 304 });
+        await harness.fetch('/api/data');
+        await harness.settle();
+        assert.deepEqual(harness.messages('DATA_UPDATED'), []);
+    });
+    it('does not notify clients of a late network response that went to the requesting client', async () => {
+        const freshness = { dataGroups: [{ ...config.dataGroups[0], cacheConfig: { maxSize: 10, maxAge: '1h', strategy: 'freshness', timeout: '1s' } }] };
+        const harness = await setupWorker({ config: freshness });
+        let release;
+        harness.server.handler = () => new Promise(resolve => release = () => resolve(new Response('late')));
+        const res = harness.fetch('/api/data');
+        await harness.clock.advance(1000);
+        release();
+        assert.equal(await (await res).text(), 'late');
+        await harness.settle();
+        assert.deepEqual(harness.messages('DATA_UPDATED'), []);
+        assert.notEqual(await harness.cache(':api:cache').match('http://localhost/api/data'), undefined);
+    });
+});
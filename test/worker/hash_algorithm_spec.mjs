@@ -0,0 +1,33 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { generateManifest, MockServer, setupWorker, WorkerHarness } from '../testing/harness.mjs';
+const files = { '/index.html': 'index', '/main.js': 'main' };
+describe('asset hash algorithms', () => {
+    for (const hashAlgorithm of ['sha256', 'sha384']) {
+        it(`verifies ${hashAlgorithm} hashes`, async () => {
+            const harness = await setupWorker({ files, config: { hashAlgorithm } });
+            assert.equal(await (await harness.fetch('/main.js')).text(), 'main');
+            assert.equal(harness.server.requests.length, 0);
+            assert.match(await harness.debugState(), /Driver state: NORMAL/);
+        });
+    }
+    it('fails the installation when a file does not match its hash', async () => {
+        const server = new MockServer({ ...files, '/main.js': 'tampered' });
+        server.manifest = await generateManifest(files, {
+            index: '/index.html',
+            hashAlgorithm: 'sha256',
+            assetGroups: [{ name: 'app', resources: { files: Object.keys(files) } }],
+        });
+        const harness = new WorkerHarness({ server });
+        await harness.fetch('/index.html');
+        await harness.settle();
+        assert.match(await harness.debugState(), /Hash mismatch \(cacheBustedFetchFromNetwork\): http:\/\/localhost\/main\.js: expected [0-9a-f]{64}, got [0-9a-f]{64}/);
+    });
+});
@@ -0,0 +1,49 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { setupWorker, updateApp } from '../testing/harness.mjs';
+// Deploys a second version with an `assets` group made of `assets`, and returns its progress events.
+async function installUpdate(assets) {
+    const harness = await setupWorker();
+    const files = { '/index.html': 'index v2', ...assets };
+    await updateApp(harness, files, {
+        appData: { version: 2 },
+        assetGroups: [
+            { name: 'shell', resources: { files: ['/index.html'] } },
+            { name: 'assets', resources: { files: Object.keys(assets) } },
+        ],
+    });
+    assert.equal(harness.messages('VERSION_READY').length, 1);
+    return harness.messages('VERSION_INSTALLATION_PROGRESS').filter(msg => msg.group === 'assets');
+}
+describe('version installation progress', () => {
+    it('reports the progress of each asset group', async () => {
+        const events = await installUpdate({ '/a.js': 'a', '/b.js': 'b' });
+        assert.deepEqual(events.map(({ filesLoaded, filesTotal, bytesLoaded, bytesTotal }) => ({ filesLoaded, filesTotal, bytesLoaded, bytesTotal })), [
+            { filesLoaded: 1, filesTotal: 2, bytesLoaded: 1, bytesTotal: 2 },
+            { filesLoaded: 2, filesTotal: 2, bytesLoaded: 2, bytesTotal: 2 },
+        ]);
+        assert.equal(events[0].version.hash.length > 0, true);
+    });
+    it('reports at most once per percent', async () => {
+        const assets = {};
+        for (let i = 0; i < 300; i++) {
+            assets[`/asset-${i}.js`] = `asset ${i}`.padEnd(10);
+        }
+        const events = await installUpdate(assets);
+        assert.equal(events.length, 101);
+        const percents = events.map(event => Math.floor(100 * event.bytesLoaded / event.bytesTotal));
+        assert.deepEqual(percents, Array.from({ length: 101 }, (_, percent) => percent));
+    });
+    it('always reports the completed group', async () => {
+        const events = await installUpdate({ '/large.js': 'l'.repeat(998), '/a.js': 'a', '/b.js': 'b' });
+        assert.deepEqual(events.map(event => event.filesLoaded), [1, 3]);
+        assert.equal(events[1].bytesLoaded, 1000);
+    });
+});
@@ -0,0 +1,73 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { setupWorker } from '../testing/harness.mjs';
+const config = {
+    dataGroups: [{
+            name: 'api',
+            urls: ['/api/**'],
+            cacheConfig: { maxSize: 10, maxAge: '1h', strategy: 'performance' },
+            invalidationRules: [{ methods: ['PUT', 'DELETE'], url: '/api/users/:id', invalidates: ['/api/users/:id/**', '/api/users'] }],
+        }],
+};
+async function setup(appConfig = config) {
+    const harness = await setupWorker({ config: appConfig });
+    let version = 1;
+    harness.server.handler = (req) => new Response(req.method === 'GET' ? `${new URL(req.url).pathname} v${version}` : 'ok');
+    harness.bump = () => version++;
+    return harness;
+}
+async function text(harness, url) {
+    return (await harness.fetch(url)).text();
+}
+describe('invalidation rules', () => {
+    it('evicts the cached responses a successful mutation invalidates', async () => {
+        const harness = await setup();
+        await text(harness, '/api/users');
+        await text(harness, '/api/users/1/posts');
+        await text(harness, '/api/users/2/posts');
+        harness.bump();
+        await harness.fetch('/api/users/1', { method: 'PUT', body: '{}' });
+        assert.equal(await text(harness, '/api/users'), '/api/users v2');
+        assert.equal(await text(harness, '/api/users/1/posts'), '/api/users/1/posts v2');
+        assert.equal(await text(harness, '/api/users/2/posts'), '/api/users/2/posts v1');
+    });
+    it('evicts the cached responses a replayed mutation invalidates', async () => {
+        const harness = await setup({ dataGroups: [{ ...config.dataGroups[0], offlineQueue: {} }] });
+        await text(harness, '/api/users');
+        harness.bump();
+        harness.server.online = false;
+        assert.equal((await harness.fetch('/api/users/1', { method: 'PUT', body: '{}' })).status, 202);
+        assert.equal(await text(harness, '/api/users'), '/api/users v1');
+        harness.server.online = true;
+        await harness.sync('ngsw-mutation-queue');
+        assert.equal(harness.messages('MUTATION_REPLAYED').length, 1);
+        assert.equal(await text(harness, '/api/users'), '/api/users v2');
+    });
+    it('does not invalidate for methods the rule does not list or failed mutations', async () => {
+        const harness = await setup();
+        await text(harness, '/api/users');
+        harness.bump();
+        await harness.fetch('/api/users/1', { method: 'PATCH', body: '{}' });
+        harness.server.handler = () => new Response('error', { status: 500 });
+        await harness.fetch('/api/users/1', { method: 'DELETE' });
+        assert.equal(await text(harness, '/api/users'), '/api/users v1');
+    });
+    it('still answers the mutation when invalidation fails', async () => {
+        const harness = await setup();
+        await text(harness, '/api/users');
+        harness.cache(':api:cache').delete = async () => {
+            throw new Error('Cache is broken');
+        };
+        const res = await harness.fetch('/api/users/1', { method: 'PUT', body: '{}' });
+        assert.equal(res.status, 200);
+        assert.equal(await res.text(), 'ok');
+        assert.match(await harness.debugState(), /invalidateDataGroups\(http:\/\/localhost\/api\/users\/1\)/);
+    });
+});
@@ -0,0 +1,66 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import assert from 'node:assert/strict';
+import { generateKeyPairSync, sign } from 'node:crypto';
+import { describe, it } from 'node:test';
+import { generateManifest, MockServer, SCOPE_URL, WorkerHarness } from '../testing/harness.mjs';
+const { privateKey, publicKey } = generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+const publicKeyBase64 = publicKey.export({ type: 'spki', format: 'der' }).toString('base64');
+function appConfig(files, version) {
+    return { index: '/index.html', appData: { version }, assetGroups: [{ name: 'app', resources: { files: Object.keys(files) } }] };
+}
+// Signs the manifest the way `ngsw-config --signing-key` does.
+function signed(manifest, key = privateKey) {
+    const signature = sign('sha256', Buffer.from(JSON.stringify(manifest)), { key, dsaEncoding: 'ieee-p1363' });
+    return { ...manifest, signature: signature.toString('base64') };
+}
+async function setup(withKey = true) {
+    const files = { '/index.html': 'index v1' };
+    const server = new MockServer(files);
+    server.manifest = signed(await generateManifest(files, appConfig(files, 1)));
+    const scriptUrl = withKey ?
+        `${SCOPE_URL}ngsw-worker.js?ngsw-manifest-key=${encodeURIComponent(publicKeyBase64)}` :
+        `${SCOPE_URL}ngsw-worker.js`;
+    const harness = new WorkerHarness({ server, scriptUrl });
+    assert.equal(await (await harness.fetch('/index.html')).text(), 'index v1');
+    await harness.settle();
+    return harness;
+}
+// Deploys version 2 with the manifest returned by `prepare`, and checks for updates.
+async function deploy(harness, prepare) {
+    const files = { '/index.html': 'index v2' };
+    harness.server.files = files;
+    harness.server.manifest = prepare(await generateManifest(files, appConfig(files, 2)));
+    return (await harness.message({ action: 'CHECK_FOR_UPDATES', nonce: 1 })).result;
+}
+describe('manifest signatures', () => {
+    it('installs a manifest signed with the registered key', async () => {
+        const harness = await setup();
+        assert.equal(await deploy(harness, manifest => signed(manifest)), true);
+        assert.equal(harness.messages('VERSION_READY').length, 1);
+    });
+    for (const [name, prepare] of [
+        ['unsigned', manifest => manifest],
+        ['tampered with', manifest => ({ ...signed(manifest), appData: { version: 3 } })],
+        ['signed with another key', manifest => signed(manifest, generateKeyPairSync('ec', { namedCurve: 'prime256v1' }).privateKey)],
+    ]) {
+        it(`rejects a manifest that is ${name}`, async () => {
+            const harness = await setup();
+            await deploy(harness, prepare);
+            const [failed] = harness.messages('VERSION_INSTALLATION_FAILED');
+            assert.match(failed.error, /Manifest signature verification failed/);
+            assert.equal(harness.messages('VERSION_READY').length, 0);
+            assert.equal(await (await harness.fetch('/index.html')).text(), 'index v1');
+        });
+    }
+    it('does not verify manifests without a registered key', async () => {
+        const harness = await setup(false);
+        assert.equal(await deploy(harness, manifest => manifest), true);
+        assert.equal(harness.messages('VERSION_READY').length, 1);
+    });
+});
@@ -0,0 +1,225 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { flush, setupWorker, updateApp } from '../testing/harness.mjs';
+const config = {
+    dataGroups: [{
+            name: 'api',
+            urls: ['/api/**'],
+            cacheConfig: { maxSize: 10, maxAge: '1d', strategy: 'performance' },
+            offlineQueue: { maxAge: '1h' },
+        }],
+};
+function post(harness, url, body, headers = {}, clientId) {
+    return harness.fetch(url, { method: 'POST', body, headers }, clientId);
+}
+async function queuedPosts(harness) {
+    return harness.readTable('data:api:queue', 'queue');
+}
+describe('offline queue', () => {
+    it('queues a mutation that fails because the network is unavailable', async () => {
+        const harness = await setupWorker({ config });
+        harness.server.online = false;
+        const res = await post(harness, '/api/items', 'one');
+        assert.equal(res.status, 202);
+        const queue = await queuedPosts(harness);
+        assert.deepEqual(queue.map(entry => entry.url), ['http://localhost/api/items']);
+        assert.equal(res.headers.get('ngsw-mutation-queued'), queue[0].id);
+        assert.deepEqual(harness.messages('MUTATION_QUEUED').map(msg => msg.request.url), ['http://localhost/api/items']);
+        await harness.settle();
+        assert.deepEqual(harness.syncTags, ['ngsw-mutation-queue']);
+    });
+    it('does not persist credential headers', async () => {
+        const harness = await setupWorker({ config });
+        harness.server.online = false;
+        await post(harness, '/api/items', 'one', { 'Authorization': 'Bearer secret', 'X-Custom': 'kept' });
+        const [entry] = await queuedPosts(harness);
+        assert.equal(entry.headers['authorization'], undefined);
+        assert.equal(entry.headers['x-custom'], 'kept');
+    });
+    it('persists the credential headers listed in storeHeaders', async () => {
+        const withHeaders = { dataGroups: [{ ...config.dataGroups[0], offlineQueue: { storeHeaders: ['Authorization'] } }] };
+        const harness = await setupWorker({ config: withHeaders });
+        harness.server.online = false;
+        await post(harness, '/api/items', 'one', { 'Authorization': 'Bearer secret', 'Cookie': 'session=1' });
+        harness.server.online = true;
+        const [entry] = await queuedPosts(harness);
+        assert.equal(entry.headers['authorization'], 'Bearer secret');
+        assert.equal(entry.headers['cookie'], undefined);
+        const auth = [];
+        harness.server.handler = (req) => {
+            auth.push(req.headers.get('Authorization'));
+            return new Response(null, { status: 201 });
+        };
+        await harness.sync('ngsw-mutation-queue');
+        assert.deepEqual(auth, ['Bearer secret']);
+    });
+    it('does not store mutations that reach the network', async () => {
+        const harness = await setupWorker({ config });
+        harness.server.handler = () => new Response(null, { status: 201 });
+        const res = await post(harness, '/api/items', 'one');
+        assert.equal(res.status, 201);
+        assert.equal(await queuedPosts(harness), undefined);
+        assert.equal(harness.messages('MUTATION_QUEUED').length, 0);
+    });
+    it('keeps mutations queued when their replay needs authentication', async () => {
+        const harness = await setupWorker({ config });
+        harness.server.online = false;
+        await post(harness, '/api/items', 'one');
+        await post(harness, '/api/items', 'two');
+        harness.server.online = true;
+        const bodies = [];
+        harness.server.handler = async (req) => {
+            bodies.push(await req.text());
+            return new Response(null, { status: 401 });
+        };
+        await harness.sync('ngsw-mutation-queue');
+        assert.deepEqual(bodies, ['one']);
+        assert.equal((await queuedPosts(harness)).length, 2);
+        const [required] = harness.messages('MUTATION_AUTH_REQUIRED');
+        assert.equal(required.status, 401);
+        assert.equal(required.request.url, 'http://localhost/api/items');
+        assert.equal(harness.messages('MUTATION_FAILED').length, 0);
+    });
+    it('queues new mutations behind older ones and replays them in order', async () => {
+        const harness = await setupWorker({ config });
+        // Without Background Sync, nothing but the new mutation triggers the replay.
+        harness.scope.registration.sync = undefined;
+        harness.server.online = false;
+        await post(harness, '/api/items', 'one');
+        harness.server.online = true;
+        const bodies = [];
+        harness.server.handler = async (req) => {
+            bodies.push(await req.text());
+            return new Response('created', { status: 201 });
+        };
+        const res = await post(harness, '/api/items', 'two');
+        assert.equal(res.status, 202);
+        await harness.settle();
+        assert.deepEqual(bodies, ['one', 'two']);
+        assert.deepEqual(await queuedPosts(harness), []);
+        assert.deepEqual(harness.messages('MUTATION_REPLAYED').map(msg => msg.status), [201, 201]);
+    });
+    it('answers a new mutation without waiting for the queue to be replayed', async () => {
+        const harness = await setupWorker({ config });
+        harness.server.online = false;
+        await post(harness, '/api/items', 'one');
+        harness.server.online = true;
+        harness.server.clearRequests();
+        harness.server.handler = (req) => req.method === 'POST' ? new Promise(() => { }) : new Response('data');
+        await harness.fetch('/api/data');
+        await harness.settle();
+        assert.equal(harness.server.requestsFor('/api/items').length, 1);
+        const res = await Promise.race([post(harness, '/api/items', 'two'), flush(20).then(() => 'blocked')]);
+        assert.notEqual(res, 'blocked');
+        assert.equal(res.status, 202);
+    });
+    it('does not replay the queue for requests served without the network', async () => {
+        const harness = await setupWorker({ config });
+        harness.server.handler = () => new Response('data');
+        await harness.fetch('/api/data');
+        harness.server.online = false;
+        await post(harness, '/api/items', 'one');
+        harness.server.online = true;
+        harness.server.clearRequests();
+        assert.equal(await (await harness.fetch('/api/data')).text(), 'data');
+        await harness.settle();
+        assert.equal(harness.server.requests.length, 0);
+        assert.equal((await queuedPosts(harness)).length, 1);
+    });
+    it('replays the queue in order after a request reaches the network', async () => {
+        const harness = await setupWorker({ config });
+        harness.server.online = false;
+        await post(harness, '/api/items', 'one');
+        await post(harness, '/api/items', 'two');
+        harness.server.online = true;
+        const bodies = [];
+        harness.server.handler = async (req) => {
+            if (req.method === 'POST') {
+                bodies.push(await req.text());
+                return new Response(null, { status: 201 });
+            }
+            return new Response('data');
+        };
+        await harness.fetch('/api/data');
+        await harness.settle();
+        assert.deepEqual(bodies, ['one', 'two']);
+        assert.deepEqual(await queuedPosts(harness), []);
+        assert.deepEqual(harness.messages('MUTATION_REPLAYED').map(msg => msg.status), [201, 201]);
+    });
+    it('replays the queue on Background Sync', async () => {
+        const harness = await setupWorker({ config });
+        harness.server.online = false;
+        await post(harness, '/api/items', 'one');
+        harness.server.online = true;
+        harness.server.handler = () => new Response(null, { status: 500 });
+        await harness.sync('ngsw-mutation-queue');
+        assert.deepEqual(await queuedPosts(harness), []);
+        assert.deepEqual(harness.messages('MUTATION_FAILED').map(msg => msg.status), [500]);
+    });
+    it('keeps queued mutations when a new app version bumps the data group version', async () => {
+        const harness = await setupWorker({ config });
+        harness.server.online = false;
+        await post(harness, '/api/items', 'one');
+        harness.server.online = true;
+        const v2 = { dataGroups: [{ ...config.dataGroups[0], version: 2 }] };
+        await updateApp(harness, { '/index.html': 'index v2' }, v2);
+        await harness.message({ action: 'ACTIVATE_UPDATE', nonce: 2 });
+        await harness.idle();
+        const bodies = [];
+        harness.server.handler = async (req) => {
+            bodies.push(await req.text());
+            return new Response(null, { status: 201 });
+        };
+        await harness.sync('ngsw-mutation-queue');
+        assert.deepEqual(bodies, ['one']);
+        assert.deepEqual(harness.messages('MUTATION_REPLAYED').map(msg => msg.status), [201]);
+    });
+    it('reports queued mutations as failed when a new app version stops queueing them', async () => {
+        const harness = await setupWorker({ config });
+        harness.server.online = false;
+        await post(harness, '/api/items', 'one');
+        harness.server.online = true;
+        const { offlineQueue, ...withoutQueue } = config.dataGroups[0];
+        await updateApp(harness, { '/index.html': 'index v2' }, { dataGroups: [withoutQueue] });
+        await harness.message({ action: 'ACTIVATE_UPDATE', nonce: 2 });
+        await harness.idle();
+        assert.equal(await queuedPosts(harness), undefined);
+        const [failed] = harness.messages('MUTATION_FAILED');
+        assert.equal(failed.request.url, 'http://localhost/api/items');
+        assert.match(failed.error, /no longer queues requests/);
+    });
+    it('replays a queue shared by two app versions only once', async () => {
+        const harness = await setupWorker({ config });
+        harness.server.online = false;
+        await post(harness, '/api/items', 'one');
+        harness.server.online = true;
+        await updateApp(harness, { '/index.html': 'index v2' }, config);
+        // A new client is served by the new version, the existing one stays on the old version.
+        await harness.fetch('/index.html', undefined, 'new-client');
+        let release;
+        const posts = [];
+        harness.server.handler = (req) => {
+            if (req.method === 'POST') {
+                posts.push(req.url);
+                return new Promise(resolve => release = () => resolve(new Response(null, { status: 201 })));
+            }
+            return new Response('data');
+        };
+        await Promise.all([
+            harness.fetch('/api/data', undefined, 'default'),
+            harness.fetch('/api/data', undefined, 'new-client'),
+        ]);
+        await harness.settle();
+        release();
+        await harness.settle();
+        assert.equal(posts.length, 1);
+        assert.deepEqual(await queuedPosts(harness), []);
+    });
+});
@@ -0,0 +1,68 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { setupWorker } from '../testing/harness.mjs';
+function config(partitionBy) {
+    return {
+        dataGroups: [{
+                name: 'api',
+                urls: ['/api/**'],
+                cacheConfig: { maxSize: 10, maxAge: '1h', strategy: 'performance' },
+                partitionBy,
+            }],
+    };
+}
+async function setup(partitionBy, options) {
+    const harness = await setupWorker({ config: config(partitionBy), ...options });
+    let count = 0;
+    harness.server.handler = () => new Response(`response ${++count}`);
+    return harness;
+}
+async function get(harness, headers = {}) {
+    return (await harness.fetch('/api/profile', { headers })).text();
+}
+describe('partitionBy', () => {
+    it('caches a separate response per header value', async () => {
+        const harness = await setup({ header: 'Authorization' });
+        assert.equal(await get(harness, { Authorization: 'alice' }), 'response 1');
+        assert.equal(await get(harness, { Authorization: 'bob' }), 'response 2');
+        assert.equal(await get(harness, { Authorization: 'alice' }), 'response 1');
+        assert.equal(await get(harness, { Authorization: 'bob' }), 'response 2');
+    });
+    it('does not cache requests without an identity', async () => {
+        const harness = await setup({ header: 'Authorization' });
+        assert.equal(await get(harness), 'response 1');
+        assert.equal(await get(harness), 'response 2');
+    });
+    it('reads cookies through the Cookie Store API', async () => {
+        const cookies = { session: 'alice' };
+        const cookieStore = { get: async (name) => cookies[name] !== undefined ? { name, value: cookies[name] } : null };
+        const harness = await setup({ cookie: 'session' }, { cookieStore });
+        assert.equal(await get(harness), 'response 1');
+        cookies.session = 'bob';
+        assert.equal(await get(harness), 'response 2');
+        cookies.session = 'alice';
+        assert.equal(await get(harness), 'response 1');
+    });
+    it('falls back to the Cookie header without the Cookie Store API', async () => {
+        const harness = await setup({ cookie: 'session' });
+        assert.equal(await get(harness, { Cookie: 'theme=dark; session=alice' }), 'response 1');
+        assert.equal(await get(harness, { Cookie: 'session=bob' }), 'response 2');
+        assert.equal(await get(harness, { Cookie: 'session=alice' }), 'response 1');
+        assert.equal(await get(harness), 'response 3');
+        assert.equal(await get(harness), 'response 4');
+    });
+    it('drops the cached responses on RESET_DATA_PARTITIONS', async () => {
+        const harness = await setup({ header: 'Authorization' });
+        await get(harness, { Authorization: 'alice' });
+        const result = await harness.message({ action: 'RESET_DATA_PARTITIONS', nonce: 7 });
+        assert.equal(result.result, true);
+        assert.equal(await get(harness, { Authorization: 'alice' }), 'response 2');
+    });
+});
@@ -0,0 +1,83 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { setupWorker } from '../testing/harness.mjs';
+const config = {
+    dataGroups: [{
+            name: 'graphql',
+            urls: ['/graphql'],
+            cacheConfig: { maxSize: 10, maxAge: '1h', strategy: 'performance' },
+            postCaching: {},
+        }],
+};
+async function setup() {
+    const harness = await setupWorker({ config });
+    let count = 0;
+    harness.server.handler = () => new Response(`response ${++count}`);
+    return harness;
+}
+function post(harness, body) {
+    return harness.fetch('/graphql', {
+        method: 'POST',
+        body: typeof body === 'string' ? body : JSON.stringify(body),
+        headers: { 'Content-Type': 'application/json' },
+    });
+}
+async function isCached(harness, body) {
+    await post(harness, body);
+    harness.server.clearRequests();
+    await post(harness, body);
+    return harness.server.requests.length === 0;
+}
+describe('POST caching', () => {
+    it('caches a GraphQL query by its body', async () => {
+        const harness = await setup();
+        const body = { query: 'query User($id: ID!) { user(id: $id) { name } }', variables: { id: 1 } };
+        assert.equal(await (await post(harness, body)).text(), 'response 1');
+        assert.equal(await (await post(harness, body)).text(), 'response 1');
+        assert.equal(await (await post(harness, { ...body, variables: { id: 2 } })).text(), 'response 2');
+    });
+    it('caches anonymous queries and queries mentioning mutations in strings or comments', async () => {
+        assert.equal(await isCached(await setup(), { query: '{ user { name } }' }), true);
+        assert.equal(await isCached(await setup(), { query: 'query { search(text: "} mutation x") }' }), true);
+        assert.equal(await isCached(await setup(), { query: '# mutation Fake\nquery Q { a }' }), true);
+    });
+    it('does not cache mutations', async () => {
+        assert.equal(await isCached(await setup(), { query: 'mutation { addUser { id } }' }), false);
+        assert.equal(await isCached(await setup(), { query: '# Adds a user\nmutation Add { addUser { id } }' }), false);
+        assert.equal(await isCached(await setup(), { query: '"""Adds a user"""\nmutation Add { addUser { id } }' }), false);
+    });
+    it('checks the operation selected by operationName', async () => {
+        const query = 'query Get { user { name } } mutation Add { addUser { id } }';
+        assert.equal(await isCached(await setup(), { query, operationName: 'Add' }), false);
+        assert.equal(await isCached(await setup(), { query, operationName: 'Get' }), true);
+        assert.equal(await isCached(await setup(), { query, operationName: 'Missing' }), false);
+        assert.equal(await isCached(await setup(), { query }), false);
+    });
+    it('does not cache GraphQL requests whose operation cannot be determined', async () => {
+        assert.equal(await isCached(await setup(), { operationName: 'Get', extensions: { persistedQuery: { sha256Hash: 'abc' } } }), false);
+        assert.equal(await isCached(await setup(), { query: 'query Get { user { name }' }), false);
+        assert.equal(await isCached(await setup(), { query: 42 }), false);
+        assert.equal(await isCached(await setup(), 'not json'), false);
+    });
+    it('caches POST requests with other JSON bodies', async () => {
+        const harness = await setupWorker({
+            config: { dataGroups: [{ ...config.dataGroups[0], postCaching: { keyFields: ['term'] } }] },
+        });
+        harness.server.handler = () => new Response('results');
+        assert.equal(await isCached(harness, { term: 'angular', page: 1 }), true);
+    });
+    it('invalidates cached responses for the URL on mutations', async () => {
+        const harness = await setup();
+        const query = { query: '{ user { name } }' };
+        await post(harness, query);
+        await post(harness, { query: 'mutation { addUser { id } }' });
+        assert.equal(await (await post(harness, query)).text(), 'response 3');
+    });
+});
@@ -0,0 +1,82 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { generateManifest, MockServer, WorkerHarness } from '../testing/harness.mjs';
+const files = {
+    '/index.html': 'index',
+    '/main.js': 'main',
+    '/styles.css': 'styles',
+    '/font-a.woff2': 'font a',
+    '/font-b.woff2': 'font b',
+    '/font-c.woff2': 'font c',
+};
+const config = {
+    index: '/index.html',
+    prefetchConcurrency: 2,
+    assetGroups: [
+        { name: 'fonts', resources: { files: ['/font-a.woff2', '/font-b.woff2', '/font-c.woff2'] } },
+        { name: 'shell', priority: 10, resources: { files: ['/index.html', '/main.js', '/styles.css'] } },
+    ],
+};
+// Installs the app with every asset served by `serve`, and returns the pending navigation response.
+async function install(serve, appConfig = config) {
+    const server = new MockServer({});
+    server.manifest = await generateManifest(files, appConfig);
+    server.handler = req => serve(new URL(req.url).pathname);
+    const harness = new WorkerHarness({ server });
+    return { harness, response: harness.fetch('/index.html') };
+}
+function assetRequests(harness) {
+    return harness.server.requests
+        .map(req => new URL(req.url).pathname)
+        .filter(path => path !== '/ngsw.json');
+}
+describe('asset prefetching', () => {
+    it('prefetches asset groups in order of priority', async () => {
+        const { harness, response } = await install(path => new Response(files[path]));
+        assert.equal(await (await response).text(), 'index');
+        assert.deepEqual(assetRequests(harness), [
+            '/index.html', '/main.js', '/styles.css', '/font-a.woff2', '/font-b.woff2', '/font-c.woff2',
+        ]);
+    });
+    it('keeps the configured order of groups with equal priority', async () => {
+        const shell = { ...config.assetGroups[1], priority: undefined };
+        const { harness, response } = await install(path => new Response(files[path]), {
+            ...config,
+            assetGroups: [config.assetGroups[0], shell],
+        });
+        assert.equal(await (await response).text(), 'index');
+        assert.deepEqual(assetRequests(harness).slice(0, 3), ['/font-a.woff2', '/font-b.woff2', '/font-c.woff2']);
+    });
+    it('fetches at most prefetchConcurrency assets at once', async () => {
+        const pending = [];
+        const { harness, response } = await install(path => new Promise(resolve => pending.push(() => resolve(new Response(files[path])))));
+        await harness.settle();
+        assert.deepEqual(assetRequests(harness), ['/index.html', '/main.js']);
+        pending.shift()();
+        await harness.settle();
+        assert.deepEqual(assetRequests(harness), ['/index.html', '/main.js', '/styles.css']);
+        while (pending.length > 0) {
+            pending.splice(0).forEach(release => release());
+            await harness.settle();
+        }
+        assert.equal(await (await response).text(), 'index');
+        assert.equal(assetRequests(harness).length, 6);
+    });
+    it('still fails the installation on a hash mismatch', async () => {
+        const { harness, response } = await install(path => new Response(path === '/main.js' ? 'tampered' : files[path]));
+        // The navigation falls back to the network, and nothing is cached for the broken version.
+        assert.equal(await (await response).text(), 'index');
+        await harness.settle();
+        assert.match(await harness.debugState(), /Hash mismatch/);
+        harness.server.clearRequests();
+        await harness.fetch('/styles.css');
+        assert.deepEqual(assetRequests(harness).filter(path => path === '/styles.css'), ['/styles.css']);
+    });
+});
@@ -0,0 +1,56 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { setupWorker } from '../testing/harness.mjs';
+const cacheQueryOptions = { ignoreQueryParams: ['utm_*', 'ts'], sortQueryParams: true };
+async function setup() {
+    const harness = await setupWorker({
+        config: {
+            dataGroups: [{
+                    name: 'api',
+                    urls: ['/api/**'],
+                    cacheConfig: { maxSize: 10, maxAge: '1h', strategy: 'performance' },
+                    cacheQueryOptions,
+                }],
+        },
+    });
+    let count = 0;
+    harness.server.handler = () => new Response(`response ${++count}`);
+    return harness;
+}
+async function get(harness, url) {
+    return (await harness.fetch(url)).text();
+}
+describe('query parameter normalization', () => {
+    it('ignores the listed query parameters when looking up cached data', async () => {
+        const harness = await setup();
+        assert.equal(await get(harness, '/api/items?page=1&utm_source=mail'), 'response 1');
+        assert.equal(await get(harness, '/api/items?page=1&ts=123&utm_medium=web'), 'response 1');
+        assert.equal(await get(harness, '/api/items?page=2'), 'response 2');
+    });
+    it('sorts query parameters when looking up cached data', async () => {
+        const harness = await setup();
+        assert.equal(await get(harness, '/api/items?b=2&a=1'), 'response 1');
+        assert.equal(await get(harness, '/api/items?a=1&b=2'), 'response 1');
+    });
+    it('sends every query parameter to the network', async () => {
+        const harness = await setup();
+        await get(harness, '/api/items?page=1&utm_source=mail');
+        assert.deepEqual(harness.server.requests.map(req => req.url), ['http://localhost/api/items?page=1&utm_source=mail']);
+    });
+    it('applies to asset groups', async () => {
+        const files = { '/index.html': 'index', '/main.js': 'main' };
+        const harness = await setupWorker({
+            files,
+            config: { assetGroups: [{ name: 'app', resources: { files: Object.keys(files) }, cacheQueryOptions }] },
+        });
+        assert.equal(await get(harness, '/main.js?utm_source=mail'), 'main');
+        assert.equal(harness.server.requests.length, 0);
+    });
+});
@@ -0,0 +1,54 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { setupWorker } from '../testing/harness.mjs';
+const config = {
+    dataGroups: [{
+            name: 'api',
+            urls: ['/api/**'],
+            cacheConfig: { maxSize: 10, maxAge: '10m', strategy: 'performance', refreshAhead: '5m' },
+        }],
+};
+async function setup() {
+    const harness = await setupWorker({ config });
+    let count = 0;
+    harness.server.handler = () => new Response(`response ${++count}`);
+    await harness.fetch('/api/data');
+    harness.server.clearRequests();
+    return harness;
+}
+async function get(harness) {
+    const text = await (await harness.fetch('/api/data')).text();
+    await harness.settle();
+    return text;
+}
+describe('refreshAhead', () => {
+    it('does not refresh responses younger than refreshAhead', async () => {
+        const harness = await setup();
+        await harness.clock.advance(4 * 60 * 1000);
+        assert.equal(await get(harness), 'response 1');
+        assert.equal(harness.server.requests.length, 0);
+    });
+    it('serves the cached response and refreshes it in the background once it is older', async () => {
+        const harness = await setup();
+        await harness.clock.advance(6 * 60 * 1000);
+        assert.equal(await get(harness), 'response 1');
+        assert.equal(harness.server.requests.length, 1);
+        assert.equal(await get(harness), 'response 2');
+        assert.equal(harness.server.requests.length, 1);
+    });
+    it('restarts the freshness lifetime with the refreshed response', async () => {
+        const harness = await setup();
+        await harness.clock.advance(6 * 60 * 1000);
+        await get(harness);
+        await harness.clock.advance(6 * 60 * 1000);
+        harness.server.online = false;
+        assert.equal(await get(harness), 'response 2');
+    });
+});
@@ -0,0 +1,107 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { setupWorker } from '../testing/harness.mjs';
+function config(strategy) {
+    return {
+        dataGroups: [{ name: 'api', urls: ['/api/**'], cacheConfig: { maxSize: 10, maxAge: '1m', strategy } }],
+    };
+}
+// Answers conditional requests matching the current ETag with a 304.
+function serveWithETag(harness, state) {
+    harness.server.handler = (req) => {
+        if (req.headers.get('If-None-Match') === state.etag) {
+            return new Response(null, { status: 304 });
+        }
+        return new Response(state.body, { headers: { 'ETag': state.etag, 'Last-Modified': 'Sun, 01 Jan 2023 00:00:00 GMT' } });
+    };
+}
+for (const strategy of ['performance', 'staleWhileRevalidate', 'freshness']) {
+    describe(`conditional revalidation with the ${strategy} strategy`, () => {
+        it('revalidates an expired response and serves the cached body on 304', async () => {
+            const harness = await setupWorker({ config: config(strategy) });
+            serveWithETag(harness, { etag: '"1"', body: 'v1' });
+            await harness.fetch('/api/data');
+            await harness.clock.advance(2 * 60 * 1000);
+            harness.server.clearRequests();
+            const res = await harness.fetch('/api/data');
+            assert.equal(res.status, 200);
+            assert.equal(await res.text(), 'v1');
+            const [req] = harness.server.requestsFor('/api/data');
+            assert.equal(req.headers.get('If-None-Match'), '"1"');
+            assert.equal(req.headers.get('If-Modified-Since'), 'Sun, 01 Jan 2023 00:00:00 GMT');
+        });
+        it('serves and caches the new response when the resource changed', async () => {
+            const harness = await setupWorker({ config: config(strategy) });
+            const state = { etag: '"1"', body: 'v1' };
+            serveWithETag(harness, state);
+            await harness.fetch('/api/data');
+            await harness.clock.advance(2 * 60 * 1000);
+            Object.assign(state, { etag: '"2"', body: 'v2' });
+            assert.equal(await (await harness.fetch('/api/data')).text(), 'v2');
+            await harness.clock.advance(2 * 60 * 1000);
+            harness.server.clearRequests();
+            assert.equal(await (await harness.fetch('/api/data')).text(), 'v2');
+            assert.equal(harness.server.requestsFor('/api/data')[0].headers.get('If-None-Match'), '"2"');
+        });
+        it('keeps the options of the original request when revalidating', async () => {
+            const harness = await setupWorker({ config: config(strategy) });
+            serveWithETag(harness, { etag: '"1"', body: 'v1' });
+            const init = { credentials: 'include', cache: 'no-cache', redirect: 'error' };
+            await harness.fetch('/api/data', init);
+            await harness.clock.advance(2 * 60 * 1000);
+            harness.server.clearRequests();
+            assert.equal(await (await harness.fetch('/api/data', init)).text(), 'v1');
+            const [req] = harness.server.requestsFor('/api/data');
+            assert.equal(req.headers.get('If-None-Match'), '"1"');
+            assert.deepEqual([req.credentials, req.cache, req.redirect], ['include', 'no-cache', 'error']);
+        });
+    });
+}
+describe('conditional revalidation', () => {
+    it('counts a 304 as a fresh response', async () => {
+        const harness = await setupWorker({ config: config('performance') });
+        serveWithETag(harness, { etag: '"1"', body: 'v1' });
+        await harness.fetch('/api/data');
+        await harness.clock.advance(2 * 60 * 1000);
+        await harness.fetch('/api/data');
+        harness.server.clearRequests();
+        await harness.clock.advance(30 * 1000);
+        assert.equal(await (await harness.fetch('/api/data')).text(), 'v1');
+        assert.equal(harness.server.requests.length, 0);
+    });
+    it('does not send validators for responses without them', async () => {
+        const harness = await setupWorker({ config: config('performance') });
+        harness.server.handler = () => new Response('v1');
+        await harness.fetch('/api/data');
+        await harness.clock.advance(2 * 60 * 1000);
+        harness.server.clearRequests();
+        await harness.fetch('/api/data');
+        const [req] = harness.server.requestsFor('/api/data');
+        assert.equal(req.headers.has('If-None-Match'), false);
+        assert.equal(req.headers.has('If-Modified-Since'), false);
+    });
+    it('keeps the options of the original request when revalidating an asset', async () => {
+        const harness = await setupWorker({
+            config: { assetGroups: [{ name: 'lazy', installMode: 'lazy', resources: { urls: ['/assets/**'] } }] },
+        });
+        harness.server.handler = (req) => req.headers.get('If-None-Match') === '"1"' ?
+            new Response(null, { status: 304 }) :
+            new Response('logo', { headers: { 'ETag': '"1"', 'Cache-Control': 'max-age=60' } });
+        const init = { credentials: 'include', cache: 'no-cache', redirect: 'error' };
+        await harness.fetch('/assets/logo.svg', init);
+        await harness.clock.advance(2 * 60 * 1000);
+        harness.server.clearRequests();
+        assert.equal(await (await harness.fetch('/assets/logo.svg', init)).text(), 'logo');
+        await harness.idle();
+        const [req] = harness.server.requestsFor('/assets/logo.svg');
+        assert.equal(req.headers.get('If-None-Match'), '"1"');
+        assert.deepEqual([req.credentials, req.cache, req.redirect], ['include', 'no-cache', 'error']);
+    });
+});
@@ -0,0 +1,34 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { generateManifest, setupWorker } from '../testing/harness.mjs';
+const files = { '/index.html': 'index v2', '/main.js': 'main code' };
+const config = { index: '/index.html', appData: { version: 2 }, assetGroups: [{ name: 'app', resources: { files: Object.keys(files) } }] };
+async function installUpdate(withSizes) {
+    const harness = await setupWorker();
+    harness.server.files = files;
+    harness.server.manifest = await generateManifest(files, config);
+    if (!withSizes) {
+        // Manifests generated by older builds have no size table.
+        delete harness.server.manifest.sizeTable;
+    }
+    await harness.message({ action: 'CHECK_FOR_UPDATES', nonce: 1 });
+    assert.equal(harness.messages('VERSION_READY').length, 1);
+    return harness.messages('VERSION_INSTALLATION_PROGRESS');
+}
+describe('manifest size table in the worker', () => {
+    it('reports the total size of a group up front', async () => {
+        const events = await installUpdate(true);
+        assert.deepEqual(events.map(event => [event.bytesLoaded, event.bytesTotal]), [[8, 17], [17, 17]]);
+    });
+    it('measures downloaded files when the manifest has no sizes', async () => {
+        const events = await installUpdate(false);
+        assert.deepEqual(events.map(event => [event.bytesLoaded, event.bytesTotal]), [[8, null], [17, null]]);
+    });
+});
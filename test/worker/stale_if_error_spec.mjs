@@ -0,0 +1,60 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { setupWorker } from '../testing/harness.mjs';
+function config(cacheConfig) {
+    return {
+        dataGroups: [{
+                name: 'api',
+                urls: ['/api/**'],
+                cacheConfig: { maxSize: 10, maxAge: '1m', strategy: 'performance', staleIfError: '10m', ...cacheConfig },
+            }],
+    };
+}
+describe('staleIfError', () => {
+    it('serves an expired response, marked as stale, when the network fails', async () => {
+        const harness = await setupWorker({ config: config() });
+        harness.server.handler = () => new Response('v1');
+        await harness.fetch('/api/data');
+        await harness.clock.advance(5 * 60 * 1000);
+        harness.server.online = false;
+        const res = await harness.fetch('/api/data');
+        assert.equal(res.status, 200);
+        assert.equal(res.headers.get('ngsw-stale'), 'true');
+        assert.equal(await res.text(), 'v1');
+    });
+    it('prefers the network for an expired response when it is available', async () => {
+        const harness = await setupWorker({ config: config() });
+        harness.server.handler = () => new Response('v1');
+        await harness.fetch('/api/data');
+        await harness.clock.advance(5 * 60 * 1000);
+        harness.server.handler = () => new Response('v2');
+        const res = await harness.fetch('/api/data');
+        assert.equal(res.headers.has('ngsw-stale'), false);
+        assert.equal(await res.text(), 'v2');
+    });
+    it('does not serve responses older than maxAge plus staleIfError', async () => {
+        const harness = await setupWorker({ config: config() });
+        harness.server.handler = () => new Response('v1');
+        await harness.fetch('/api/data');
+        await harness.clock.advance(12 * 60 * 1000);
+        harness.server.online = false;
+        assert.equal((await harness.fetch('/api/data')).status, 504);
+    });
+    it('serves stale responses with the freshness strategy too', async () => {
+        const harness = await setupWorker({ config: config({ strategy: 'freshness' }) });
+        harness.server.handler = () => new Response('v1');
+        await harness.fetch('/api/data');
+        await harness.clock.advance(5 * 60 * 1000);
+        harness.server.online = false;
+        const res = await harness.fetch('/api/data');
+        assert.equal(res.headers.get('ngsw-stale'), 'true');
+        assert.equal(await res.text(), 'v1');
+    });
+});
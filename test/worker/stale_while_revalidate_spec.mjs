@@ -0,0 +1,58 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { setupWorker } from '../testing/harness.mjs';
+const config = {
+    dataGroups: [{
+            name: 'api',
+            urls: ['/api/**'],
+            cacheConfig: { maxSize: 10, maxAge: '1h', strategy: 'staleWhileRevalidate' },
+        }],
+};
+function serve(harness, body) {
+    harness.server.handler = () => new Response(body);
+}
+describe('staleWhileRevalidate strategy', () => {
+    it('fetches from the network when nothing is cached', async () => {
+        const harness = await setupWorker({ config });
+        serve(harness, 'v1');
+        assert.equal(await (await harness.fetch('/api/data')).text(), 'v1');
+        assert.equal(harness.server.requestsFor('/api/data').length, 1);
+    });
+    it('serves the cached response and refreshes it in the background', async () => {
+        const harness = await setupWorker({ config });
+        serve(harness, 'v1');
+        await harness.fetch('/api/data');
+        serve(harness, 'v2');
+        harness.server.clearRequests();
+        assert.equal(await (await harness.fetch('/api/data')).text(), 'v1');
+        await harness.settle();
+        assert.equal(harness.server.requestsFor('/api/data').length, 1);
+        serve(harness, 'v3');
+        assert.equal(await (await harness.fetch('/api/data')).text(), 'v2');
+    });
+    it('goes to the network once the cached response is older than maxAge', async () => {
+        const harness = await setupWorker({ config });
+        serve(harness, 'v1');
+        await harness.fetch('/api/data');
+        await harness.clock.advance(2 * 60 * 60 * 1000);
+        serve(harness, 'v2');
+        assert.equal(await (await harness.fetch('/api/data')).text(), 'v2');
+    });
+    it('keeps serving the cached response when the background refresh fails', async () => {
+        const harness = await setupWorker({ config });
+        serve(harness, 'v1');
+        await harness.fetch('/api/data');
+        harness.server.online = false;
+        assert.equal(await (await harness.fetch('/api/data')).text(), 'v1');
+        await harness.settle();
+        assert.equal(await (await harness.fetch('/api/data')).text(), 'v1');
+        assert.deepEqual(harness.errors, []);
+    });
+});
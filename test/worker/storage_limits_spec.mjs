@@ -0,0 +1,62 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { setupWorker } from '../testing/harness.mjs';
+function group(name, cacheConfig) {
+    return { name, urls: [`/${name}/**`], cacheConfig: { maxSize: 100, maxAge: '1d', strategy: 'performance', ...cacheConfig } };
+}
+// Serves `size` bytes for URLs ending in `?size=<size>`.
+function serveSized(harness) {
+    harness.server.handler = (req) => new Response('x'.repeat(Number(new URL(req.url).searchParams.get('size'))));
+}
+async function isCached(harness, url) {
+    harness.server.clearRequests();
+    await harness.fetch(url);
+    return harness.server.requests.length === 0;
+}
+describe('data group storage limits', () => {
+    it('evicts the least recently used responses to stay under maxBytes', async () => {
+        const harness = await setupWorker({ config: { dataGroups: [group('api', { maxBytes: 10 })] } });
+        serveSized(harness);
+        await harness.fetch('/api/a?size=4');
+        await harness.fetch('/api/b?size=4');
+        await harness.fetch('/api/a?size=4');
+        await harness.fetch('/api/c?size=4');
+        assert.equal(await isCached(harness, '/api/a?size=4'), true);
+        assert.equal(await isCached(harness, '/api/c?size=4'), true);
+        assert.equal(await isCached(harness, '/api/b?size=4'), false);
+    });
+    it('does not cache responses larger than maxResponseBytes', async () => {
+        const harness = await setupWorker({ config: { dataGroups: [group('api', { maxResponseBytes: 5 })] } });
+        serveSized(harness);
+        await harness.fetch('/api/small?size=5');
+        await harness.fetch('/api/large?size=6');
+        assert.equal(await isCached(harness, '/api/small?size=5'), true);
+        assert.equal(await isCached(harness, '/api/large?size=6'), false);
+    });
+    it('evicts from the largest data group when storage usage crosses the threshold', async () => {
+        let usage = 0;
+        const harness = await setupWorker({
+            config: { storageEvictionThreshold: 0.5, dataGroups: [group('big', {}), group('small', {})] },
+            storageEstimate: async () => ({ usage, quota: 100 }),
+        });
+        serveSized(harness);
+        await harness.fetch('/big/a?size=20');
+        await harness.fetch('/big/b?size=20');
+        await harness.fetch('/small/c?size=5');
+        usage = 90;
+        await harness.clock.advance(60000);
+        await harness.fetch('/small/d?size=5');
+        usage = 0;
+        assert.equal(await isCached(harness, '/small/c?size=5'), true);
+        assert.equal(await isCached(harness, '/small/d?size=5'), true);
+        assert.equal(await isCached(harness, '/big/a?size=20'), false);
+        assert.equal(await isCached(harness, '/big/b?size=20'), false);
+    });
+});
@@ -0,0 +1,50 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { setupWorker } from '../testing/harness.mjs';
+const config = {
+    dataGroups: [{
+            name: 'api',
+            urls: ['/api/**'],
+            cacheConfig: { maxSize: 10, maxAge: '1h', strategy: 'performance' },
+            varyHeaders: ['Accept-Language'],
+        }],
+};
+async function get(harness, language) {
+    return (await harness.fetch('/api/greeting', { headers: { 'Accept-Language': language } })).text();
+}
+describe('varyHeaders', () => {
+    it('caches a separate response per value of the listed headers', async () => {
+        const harness = await setupWorker({ config });
+        harness.server.handler = (req) => new Response(req.headers.get('Accept-Language') === 'fr' ? 'bonjour' : 'hello');
+        assert.equal(await get(harness, 'en'), 'hello');
+        assert.equal(await get(harness, 'fr'), 'bonjour');
+        harness.server.clearRequests();
+        assert.equal(await get(harness, 'en'), 'hello');
+        assert.equal(await get(harness, 'fr'), 'bonjour');
+        assert.equal(harness.server.requests.length, 0);
+    });
+    it('sends the original request, with its headers, to the network', async () => {
+        const harness = await setupWorker({ config });
+        harness.server.handler = () => new Response('hello');
+        await get(harness, 'de');
+        const [req] = harness.server.requestsFor('/api/greeting');
+        assert.equal(req.url, 'http://localhost/api/greeting');
+        assert.equal(req.headers.get('Accept-Language'), 'de');
+    });
+    it('evicts every variant of a URL on mutations', async () => {
+        const harness = await setupWorker({ config });
+        harness.server.handler = (req) => new Response(req.method === 'GET' ? `${req.headers.get('Accept-Language')} ${harness.server.requests.length}` : 'ok');
+        const en = await get(harness, 'en');
+        const fr = await get(harness, 'fr');
+        await harness.fetch('/api/greeting', { method: 'PUT', body: 'hi' });
+        assert.notEqual(await get(harness, 'en'), en);
+        assert.notEqual(await get(harness, 'fr'), fr);
+    });
+});